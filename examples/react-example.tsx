@@ -1,12 +1,19 @@
-import { useState } from "react";
-import { VoiceDraftBar, useVoiceDraft } from "../src/react";
+import { useRef, useState } from "react";
+import { VoiceDraftBar, useVoiceDraft, useVoiceDraftField } from "../src/react";
 
 export function VoiceDraftExample() {
   const [value, setValue] = useState("");
+  const textareaRef = useRef<HTMLTextAreaElement>(null);
+  const field = useVoiceDraftField(textareaRef);
   const voice = useVoiceDraft({
     locale: "en-US",
+    hotkeys: {},
+    target: textareaRef,
+    onConfirm: (text) => {
+      field.insert(text);
+      voice.clearDraft();
+    },
     noiseGate: {
-      activationThreshold: 0.25,
       minActiveLevel: 0.06,
     },
     silence: {
@@ -18,19 +25,52 @@ export function VoiceDraftExample() {
 
   return (
     <div style={{ display: "grid", gap: 12, maxWidth: 680 }}>
-      <textarea value={value} onChange={(event) => setValue(event.target.value)} rows={5} />
+      <textarea ref={textareaRef} value={value} onChange={(event) => setValue(event.target.value)} rows={5} />
+      <VoiceDraftBar
+        status={voice.status}
+        listening={voice.listening}
+        canTranscribe={voice.canTranscribe}
+        meter={voice.meter}
+        elapsed={voice.elapsed}
+        onStart={voice.start}
+        onCancel={voice.cancel}
+        onConfirm={voice.confirm}
+      />
+    </div>
+  );
+}
+
+export function VoiceDraftReviewExample() {
+  const editorRef = useRef<HTMLDivElement>(null);
+  const field = useVoiceDraftField(editorRef);
+  const voice = useVoiceDraft({ locale: "en-US", recording: true, maxDurationMs: 5 * 60_000 });
+
+  return (
+    <div style={{ display: "grid", gap: 12, maxWidth: 680 }}>
+      <div ref={editorRef} contentEditable suppressContentEditableWarning style={{ minHeight: 96 }} />
       <VoiceDraftBar
+        review
+        status={voice.status}
         listening={voice.listening}
         canTranscribe={voice.canTranscribe}
-        waveform={voice.waveform}
+        meter={voice.meter}
         elapsed={voice.elapsed}
+        draftText={voice.draftText}
+        segments={voice.segments}
+        recording={voice.recording}
+        onDraftTextChange={voice.setDraftText}
         onStart={voice.start}
         onCancel={voice.cancel}
-        onConfirm={async () => {
-          const text = await voice.stopAndGetText();
-          if (text) {
-            setValue((previous) => (previous ? `${previous} ${text}` : text));
-          }
+        onConfirm={voice.stopAndGetText}
+        onPause={voice.pause}
+        onResume={voice.resume}
+        remaining={voice.remaining}
+        limitApproaching={voice.limitApproaching}
+        locale={voice.locale}
+        stopReason={voice.stopReason}
+        onInsert={(text) => {
+          field.insert(text);
+          voice.clearDraft();
         }}
       />
     </div>
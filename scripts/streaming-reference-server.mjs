@@ -0,0 +1,325 @@
+#!/usr/bin/env node
+
+// Reference server for the VoiceDraft streaming protocol (docs/streaming-protocol.md).
+// It does not run a speech model: it "recognizes" a scripted transcript, releasing one
+// word per --msPerWord of received audio, so the protocol can be exercised offline.
+
+import { createHash } from "node:crypto";
+import { createServer } from "node:http";
+import process from "node:process";
+import { pathToFileURL } from "node:url";
+
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+const DEFAULT_OPTIONS = {
+  port: 8787,
+  transcript: "hello from the reference server|this is a streaming transcription test",
+  msPerWord: 300,
+};
+
+const OPCODE_CONTINUATION = 0x0;
+const OPCODE_TEXT = 0x1;
+const OPCODE_BINARY = 0x2;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xa;
+
+function printHelp() {
+  console.log(`
+Usage:
+  node scripts/streaming-reference-server.mjs [options]
+
+Options:
+  --port <n>            Port to listen on (default ${DEFAULT_OPTIONS.port})
+  --transcript <text>   Scripted transcript, phrases separated by "|"
+  --msPerWord <n>       Audio duration that releases one word (default ${DEFAULT_OPTIONS.msPerWord})
+  --help                Show this help
+`);
+}
+
+function parseArgs(argv) {
+  const parsed = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    const token = argv[i];
+    if (!token.startsWith("--")) {
+      continue;
+    }
+    const key = token.slice(2);
+    const next = argv[i + 1];
+    if (!next || next.startsWith("--")) {
+      parsed[key] = true;
+      continue;
+    }
+    parsed[key] = next;
+    i += 1;
+  }
+  return parsed;
+}
+
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// Returns { frame, rest } for the first complete frame in `buffer`, or null if incomplete.
+function decodeFrame(buffer) {
+  if (buffer.length < 2) {
+    return null;
+  }
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (length === 126) {
+    if (buffer.length < 4) {
+      return null;
+    }
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) {
+      return null;
+    }
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+
+  const maskLength = masked ? 4 : 0;
+  if (buffer.length < offset + maskLength + length) {
+    return null;
+  }
+
+  const mask = masked ? buffer.subarray(offset, offset + 4) : null;
+  offset += maskLength;
+  const payload = Buffer.from(buffer.subarray(offset, offset + length));
+  if (mask) {
+    for (let index = 0; index < payload.length; index += 1) {
+      payload[index] ^= mask[index % 4];
+    }
+  }
+
+  return { frame: { fin, opcode, payload }, rest: buffer.subarray(offset + length) };
+}
+
+function createSession(socket, options) {
+  const phrases = options.transcript
+    .split("|")
+    .map((phrase) => phrase.trim().split(/\s+/).filter(Boolean))
+    .filter((words) => words.length > 0);
+
+  let started = false;
+  let sampleRate = 16000;
+  let receivedMs = 0;
+  let phraseIndex = 0;
+  let wordIndex = 0;
+  let buffered = Buffer.alloc(0);
+  let fragments = [];
+  let fragmentOpcode = 0;
+
+  const sendJson = (message) => {
+    if (!socket.destroyed) {
+      socket.write(encodeFrame(OPCODE_TEXT, Buffer.from(JSON.stringify(message))));
+    }
+  };
+
+  const close = (code = 1000) => {
+    if (socket.destroyed) {
+      return;
+    }
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    socket.end(encodeFrame(OPCODE_CLOSE, payload));
+  };
+
+  const currentPhrase = () => phrases[phraseIndex] ?? [];
+
+  const advance = () => {
+    const words = currentPhrase();
+    if (words.length === 0) {
+      return;
+    }
+    wordIndex += 1;
+    if (wordIndex >= words.length) {
+      sendJson({ type: "final", text: words.join(" ") });
+      phraseIndex += 1;
+      wordIndex = 0;
+      return;
+    }
+    sendJson({ type: "interim", text: words.slice(0, wordIndex).join(" ") });
+  };
+
+  const flush = () => {
+    const words = currentPhrase();
+    if (wordIndex > 0) {
+      sendJson({ type: "final", text: words.slice(0, wordIndex).join(" ") });
+      phraseIndex += 1;
+      wordIndex = 0;
+    }
+  };
+
+  const handleText = (text) => {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch {
+      sendJson({ type: "error", message: "Invalid JSON message", fatal: false });
+      return;
+    }
+
+    if (message.type === "start") {
+      if (message.encoding !== "pcm_s16le" || message.channels !== 1) {
+        sendJson({ type: "error", message: "Only mono pcm_s16le audio is supported", fatal: true });
+        close(1003);
+        return;
+      }
+      started = true;
+      sampleRate = Number(message.sampleRate) || sampleRate;
+      return;
+    }
+
+    if (message.type === "stop") {
+      flush();
+      sendJson({ type: "done" });
+      close();
+      return;
+    }
+
+    if (message.type === "cancel") {
+      close();
+      return;
+    }
+
+    sendJson({ type: "error", message: `Unknown message type "${message.type}"`, fatal: false });
+  };
+
+  const handleAudio = (payload) => {
+    if (!started) {
+      sendJson({ type: "error", message: "Audio received before start", fatal: true });
+      close(1008);
+      return;
+    }
+    const previousWords = Math.floor(receivedMs / options.msPerWord);
+    receivedMs += (payload.length / 2 / sampleRate) * 1000;
+    const words = Math.floor(receivedMs / options.msPerWord);
+    for (let index = previousWords; index < words; index += 1) {
+      advance();
+    }
+  };
+
+  const handleFrame = ({ fin, opcode, payload }) => {
+    if (opcode === OPCODE_PING) {
+      socket.write(encodeFrame(OPCODE_PONG, payload));
+      return;
+    }
+    if (opcode === OPCODE_CLOSE) {
+      close();
+      return;
+    }
+
+    if (opcode !== OPCODE_CONTINUATION) {
+      fragmentOpcode = opcode;
+      fragments = [];
+    }
+    fragments.push(payload);
+    if (!fin) {
+      return;
+    }
+
+    const message = Buffer.concat(fragments);
+    fragments = [];
+    if (fragmentOpcode === OPCODE_TEXT) {
+      handleText(message.toString("utf8"));
+    } else if (fragmentOpcode === OPCODE_BINARY) {
+      handleAudio(message);
+    }
+  };
+
+  socket.on("data", (chunk) => {
+    buffered = Buffer.concat([buffered, chunk]);
+    let decoded = decodeFrame(buffered);
+    while (decoded) {
+      buffered = decoded.rest;
+      handleFrame(decoded.frame);
+      decoded = decodeFrame(buffered);
+    }
+  });
+  socket.on("error", () => {
+    socket.destroy();
+  });
+}
+
+export function startReferenceServer(overrides = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+  const server = createServer((_request, response) => {
+    response.writeHead(426, { "Content-Type": "text/plain" });
+    response.end("This endpoint speaks the VoiceDraft streaming protocol over WebSocket.\n");
+  });
+
+  server.on("upgrade", (request, socket) => {
+    const key = request.headers["sec-websocket-key"];
+    if (!key || request.headers.upgrade?.toLowerCase() !== "websocket") {
+      socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+      return;
+    }
+    const accept = createHash("sha1").update(`${key}${WEBSOCKET_GUID}`).digest("base64");
+    socket.write(
+      [
+        "HTTP/1.1 101 Switching Protocols",
+        "Upgrade: websocket",
+        "Connection: Upgrade",
+        `Sec-WebSocket-Accept: ${accept}`,
+        "",
+        "",
+      ].join("\r\n"),
+    );
+    createSession(socket, options);
+  });
+
+  return new Promise((resolve) => {
+    server.listen(options.port, "127.0.0.1", () => {
+      resolve({
+        port: server.address().port,
+        close: () => new Promise((done) => server.close(() => done())),
+      });
+    });
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    printHelp();
+    return;
+  }
+
+  const server = await startReferenceServer({
+    port: args.port ? Number(args.port) : DEFAULT_OPTIONS.port,
+    transcript: typeof args.transcript === "string" ? args.transcript : DEFAULT_OPTIONS.transcript,
+    msPerWord: args.msPerWord ? Number(args.msPerWord) : DEFAULT_OPTIONS.msPerWord,
+  });
+  console.log(`VoiceDraft streaming reference server listening on ws://127.0.0.1:${server.port}`);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((error) => {
+    const message = error instanceof Error ? error.stack ?? error.message : String(error);
+    console.error(`Streaming reference server failed: ${message}`);
+    process.exitCode = 1;
+  });
+}
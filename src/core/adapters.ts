@@ -1,12 +1,52 @@
+import type { VoiceDraftAdapterHints } from "./hints.js";
+
+export interface VoiceDraftAlternative {
+  transcript: string;
+  confidence: number | null;
+}
+
+export interface VoiceDraftAdapterResult {
+  transcript: string;
+  isFinal: boolean;
+  // Between 0 and 1, when the engine reports it.
+  confidence?: number;
+  // Other hypotheses for the same audio, most likely first.
+  alternatives?: VoiceDraftAlternative[];
+  // Milliseconds since this engine's start(), when it knows the timing. The controller moves
+  // them onto the session clock.
+  start?: number;
+  end?: number;
+  // The language the engine detected, when it identifies one (see `alternateLocales`).
+  locale?: string;
+}
+
 export interface VoiceDraftAdapterStartContext {
   locale: string;
+  // Other languages the speaker may switch to. Engines that detect the language may use them.
+  alternateLocales: string[];
+  // Vocabulary and preceding text to bias recognition. Engines without a way to use them ignore them.
+  hints: VoiceDraftAdapterHints;
+  stream: MediaStream;
+  audioContext: AudioContext;
+  onResult: (result: VoiceDraftAdapterResult) => void;
+  // Report a `VoiceDraftError`; other errors are treated as fatal "engine-error"s.
+  onError: (error: unknown) => void;
 }
 
 export interface VoiceDraftAdapterStopResult {
+  // Any text not already delivered as a final result through `onResult`.
   transcript: string;
+  // The same text split into segments with timing and confidence; replaces `transcript` when set.
+  segments?: VoiceDraftAdapterResult[];
+  // Detected language of `transcript`.
+  locale?: string;
 }
 
 export interface VoiceDraftAdapter {
+  name?: string;
+  isSupported?: () => boolean;
+  // Locales the engine recognizes; `setLocale()` rejects others. Omit if any locale may work.
+  supportedLocales?: readonly string[];
   start: (context: VoiceDraftAdapterStartContext) => Promise<void> | void;
   stop: () => Promise<VoiceDraftAdapterStopResult> | VoiceDraftAdapterStopResult;
   cancel?: () => Promise<void> | void;
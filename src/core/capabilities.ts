@@ -0,0 +1,104 @@
+import type { VoiceDraftAdapter } from "./adapters.js";
+import { buildAudioConstraints } from "./devices.js";
+import type { VoiceDraftAudioConstraints } from "./devices.js";
+import { fromGetUserMediaError } from "./errors.js";
+import type { VoiceDraftErrorCode } from "./errors.js";
+import { webSpeechAdapter } from "./web-speech-adapter.js";
+
+export type MicrophonePermissionState = "granted" | "denied" | "prompt" | "unknown";
+
+export interface VoiceDraftCapabilities {
+  secureContext: boolean;
+  mediaDevices: boolean;
+  speechRecognition: boolean;
+  audioContext: boolean;
+  engine: boolean;
+  microphonePermission: MicrophonePermissionState;
+  canTranscribe: boolean;
+  unavailableReason: VoiceDraftErrorCode | null;
+}
+
+// What a server render reports: nothing is known until the client has hydrated.
+export const SERVER_CAPABILITIES: VoiceDraftCapabilities = {
+  secureContext: false,
+  mediaDevices: false,
+  speechRecognition: false,
+  audioContext: false,
+  engine: false,
+  microphonePermission: "unknown",
+  canTranscribe: false,
+  unavailableReason: "not-supported",
+};
+
+function resolveUnavailableReason(
+  capabilities: Omit<VoiceDraftCapabilities, "canTranscribe" | "unavailableReason">,
+): VoiceDraftErrorCode | null {
+  if (!capabilities.secureContext) {
+    return "insecure-context";
+  }
+  if (!capabilities.mediaDevices || !capabilities.audioContext || !capabilities.engine) {
+    return "not-supported";
+  }
+  if (capabilities.microphonePermission === "denied") {
+    return "permission-denied";
+  }
+  return null;
+}
+
+// Synchronous part of the report; the permission state needs `getVoiceDraftCapabilities()`.
+export function detectVoiceDraftCapabilities(
+  adapters: VoiceDraftAdapter[] = [webSpeechAdapter()],
+  microphonePermission: MicrophonePermissionState = "unknown",
+): VoiceDraftCapabilities {
+  if (typeof window === "undefined") {
+    return SERVER_CAPABILITIES;
+  }
+
+  const detected = {
+    secureContext: window.isSecureContext !== false,
+    mediaDevices: typeof navigator !== "undefined" && typeof navigator.mediaDevices?.getUserMedia === "function",
+    speechRecognition: Boolean(window.SpeechRecognition ?? window.webkitSpeechRecognition),
+    audioContext: typeof AudioContext !== "undefined",
+    engine: adapters.some((adapter) => adapter.isSupported?.() ?? true),
+    microphonePermission,
+  };
+  const unavailableReason = resolveUnavailableReason(detected);
+  return {
+    ...detected,
+    canTranscribe: unavailableReason === null || unavailableReason === "permission-denied",
+    unavailableReason,
+  };
+}
+
+export async function queryMicrophonePermission(): Promise<MicrophonePermissionState> {
+  if (typeof navigator === "undefined" || typeof navigator.permissions?.query !== "function") {
+    return "unknown";
+  }
+  try {
+    // Some browsers reject "microphone" as a permission name.
+    const status = await navigator.permissions.query({ name: "microphone" as PermissionName });
+    return status.state;
+  } catch {
+    return "unknown";
+  }
+}
+
+export async function getVoiceDraftCapabilities(adapters?: VoiceDraftAdapter[]): Promise<VoiceDraftCapabilities> {
+  return detectVoiceDraftCapabilities(adapters, await queryMicrophonePermission());
+}
+
+// Opens and immediately releases the microphone so the permission prompt can be shown up front.
+export async function requestMicrophonePermission(
+  deviceId?: string | null,
+  constraints?: VoiceDraftAudioConstraints,
+): Promise<void> {
+  if (typeof navigator === "undefined" || typeof navigator.mediaDevices?.getUserMedia !== "function") {
+    throw fromGetUserMediaError(Object.assign(new Error("mediaDevices is unavailable"), { name: "NotSupportedError" }));
+  }
+  try {
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: buildAudioConstraints(deviceId, constraints) });
+    stream.getTracks().forEach((track) => track.stop());
+  } catch (error) {
+    throw fromGetUserMediaError(error);
+  }
+}
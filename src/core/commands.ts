@@ -0,0 +1,191 @@
+import { joinTranscript } from "./transcript.js";
+
+// "delete-last" removes the words said before it in the same utterance, or else the previous
+// finalized utterance. "clear" removes everything dictated so far.
+export type VoiceDraftEditCommand = "delete-last" | "clear";
+
+export interface VoiceDraftGrammar {
+  // Spoken phrase → text that replaces it, e.g. "comma" → ",".
+  punctuation?: Record<string, string>;
+  edits?: Record<string, VoiceDraftEditCommand>;
+}
+
+export interface VoiceDraftCommandResult {
+  text: string;
+  // Number of previous utterances to drop; `Infinity` after "clear".
+  drop: number;
+  // App command phrases that were spoken, in order.
+  commands: string[];
+}
+
+export const VOICE_DRAFT_GRAMMARS: Record<string, VoiceDraftGrammar> = {
+  en: {
+    punctuation: {
+      comma: ",",
+      period: ".",
+      "full stop": ".",
+      "question mark": "?",
+      "exclamation mark": "!",
+      "exclamation point": "!",
+      colon: ":",
+      semicolon: ";",
+      ellipsis: "…",
+      "open parenthesis": "(",
+      "close parenthesis": ")",
+      "new line": "\n",
+      "new paragraph": "\n\n",
+    },
+    edits: {
+      "scratch that": "delete-last",
+      "delete that": "delete-last",
+      "undo that": "delete-last",
+      "clear all": "clear",
+    },
+  },
+  fr: {
+    punctuation: {
+      virgule: ",",
+      point: ".",
+      "point d'interrogation": "?",
+      "point d'exclamation": "!",
+      "deux points": ":",
+      "point-virgule": ";",
+      "points de suspension": "…",
+      "ouvrez la parenthèse": "(",
+      "fermez la parenthèse": ")",
+      "à la ligne": "\n",
+      "nouvelle ligne": "\n",
+      "nouveau paragraphe": "\n\n",
+    },
+    edits: {
+      "efface ça": "delete-last",
+      "annule ça": "delete-last",
+      "efface tout": "clear",
+    },
+  },
+  de: {
+    punctuation: {
+      komma: ",",
+      punkt: ".",
+      fragezeichen: "?",
+      ausrufezeichen: "!",
+      doppelpunkt: ":",
+      semikolon: ";",
+      "klammer auf": "(",
+      "klammer zu": ")",
+      "neue zeile": "\n",
+      "neuer absatz": "\n\n",
+    },
+    edits: {
+      "lösch das": "delete-last",
+      "streich das": "delete-last",
+      "alles löschen": "clear",
+    },
+  },
+  es: {
+    punctuation: {
+      coma: ",",
+      punto: ".",
+      "signo de interrogación": "?",
+      "signo de exclamación": "!",
+      "dos puntos": ":",
+      "punto y coma": ";",
+      "puntos suspensivos": "…",
+      "abrir paréntesis": "(",
+      "cerrar paréntesis": ")",
+      "nueva línea": "\n",
+      "nuevo párrafo": "\n\n",
+    },
+    edits: {
+      "borra eso": "delete-last",
+      "borrar eso": "delete-last",
+      "borrar todo": "clear",
+    },
+  },
+};
+
+// Looks up the built-in grammar for a locale, falling back from "pt-BR" to "pt".
+export function getVoiceDraftGrammar(locale: string): VoiceDraftGrammar | null {
+  const key = locale.toLowerCase();
+  return VOICE_DRAFT_GRAMMARS[key] ?? VOICE_DRAFT_GRAMMARS[key.split("-")[0]] ?? null;
+}
+
+export function mergeGrammars(...grammars: Array<VoiceDraftGrammar | null | undefined>): VoiceDraftGrammar {
+  const merged: Required<VoiceDraftGrammar> = { punctuation: {}, edits: {} };
+  for (const grammar of grammars) {
+    Object.assign(merged.punctuation, grammar?.punctuation);
+    Object.assign(merged.edits, grammar?.edits);
+  }
+  return merged;
+}
+
+type Rule =
+  | { words: string[]; type: "punctuation"; value: string }
+  | { words: string[]; type: "edit"; value: VoiceDraftEditCommand }
+  | { words: string[]; type: "command"; value: string };
+
+function normalizeWord(word: string): string {
+  return word.toLowerCase().replace(/^[¿¡"“]+|[.,;:!?…"”]+$/g, "");
+}
+
+function toWords(phrase: string): string[] {
+  return phrase.trim().split(/\s+/).map(normalizeWord).filter(Boolean);
+}
+
+function buildRules(grammar: VoiceDraftGrammar | null, commands: string[]): Rule[] {
+  const rules: Rule[] = [];
+  for (const [phrase, value] of Object.entries(grammar?.punctuation ?? {})) {
+    rules.push({ words: toWords(phrase), type: "punctuation", value });
+  }
+  for (const [phrase, value] of Object.entries(grammar?.edits ?? {})) {
+    rules.push({ words: toWords(phrase), type: "edit", value });
+  }
+  for (const phrase of commands) {
+    rules.push({ words: toWords(phrase), type: "command", value: phrase });
+  }
+  // Longest phrases win, so "punto y coma" is not read as "punto".
+  return rules.filter((rule) => rule.words.length > 0).sort((a, b) => b.words.length - a.words.length);
+}
+
+// Applies a grammar to one finalized utterance. App commands only match at the end of an
+// utterance, so "send it" fires but "send it to Sam" is dictated as text.
+export function applyVoiceCommands(
+  transcript: string,
+  grammar: VoiceDraftGrammar | null,
+  commands: string[] = [],
+): VoiceDraftCommandResult {
+  const words = transcript.trim().split(/\s+/).filter(Boolean);
+  const normalized = words.map(normalizeWord);
+  const rules = buildRules(grammar, commands);
+  const result: VoiceDraftCommandResult = { text: "", drop: 0, commands: [] };
+  let pieces: string[] = [];
+
+  for (let index = 0; index < words.length; ) {
+    const rule = rules.find(
+      ({ words: phrase, type }) =>
+        phrase.every((word, offset) => normalized[index + offset] === word) &&
+        (type !== "command" || index + phrase.length === words.length),
+    );
+    if (!rule) {
+      pieces.push(words[index]);
+      index += 1;
+      continue;
+    }
+    index += rule.words.length;
+    if (rule.type === "punctuation") {
+      pieces.push(rule.value);
+    } else if (rule.type === "command") {
+      result.commands.push(rule.value);
+    } else if (rule.value === "clear") {
+      pieces = [];
+      result.drop = Infinity;
+    } else if (pieces.length > 0) {
+      pieces = [];
+    } else {
+      result.drop += 1;
+    }
+  }
+
+  result.text = joinTranscript(...pieces);
+  return result;
+}
@@ -0,0 +1,1404 @@
+import type { VoiceDraftAdapter, VoiceDraftAdapterResult } from "./adapters.js";
+import {
+  SERVER_CAPABILITIES,
+  detectVoiceDraftCapabilities,
+  requestMicrophonePermission,
+} from "./capabilities.js";
+import type { VoiceDraftCapabilities } from "./capabilities.js";
+import { buildAudioConstraints, getStreamDeviceId, listAudioInputDevices } from "./devices.js";
+import { VoiceDraftError, fromGetUserMediaError, toVoiceDraftError } from "./errors.js";
+import { normalizeHints } from "./hints.js";
+import type { VoiceDraftAdapterHints } from "./hints.js";
+import { startLevelMeter, supportsLevelMeter } from "./level-meter.js";
+import type { LevelMeter } from "./level-meter.js";
+import { matchLocale, normalizeLocale } from "./locales.js";
+import { createMeterBuffer } from "./meter.js";
+import type { MeterBuffer, VoiceDraftMeter } from "./meter.js";
+import { startPcmCapture } from "./pcm-capture.js";
+import type { PcmCapture } from "./pcm-capture.js";
+import type { VoiceDraftCheckpoint } from "./persistence.js";
+import { createPcmRingBuffer, encodeWav } from "./recording.js";
+import type { PcmRingBuffer } from "./recording.js";
+import { applyVoiceCommands, getVoiceDraftGrammar } from "./commands.js";
+import type { VoiceDraftGrammar } from "./commands.js";
+import { canTransition } from "./status.js";
+import type { VoiceDraftStatus } from "./status.js";
+import type {
+  VoiceDraftControllerOptions,
+  VoiceDraftPersistenceOptions,
+  VoiceDraftRecoverableDraft,
+  VoiceDraftSegment,
+  VoiceDraftSnapshot,
+  VoiceDraftStopReason,
+} from "./types.js";
+import { joinTranscript } from "./transcript.js";
+import { applyTransformers } from "./transformers.js";
+import { analyzeFrame, analyzeSpectrum, createVoiceActivityDetector } from "./vad.js";
+import type { FrequencyDataRange, VoiceActivityDetector, VoiceActivityFeatures } from "./vad.js";
+import { webSpeechAdapter } from "./web-speech-adapter.js";
+
+const DEFAULT_LOCALE = "en-US";
+const DEFAULT_MAX_HISTORY = 400;
+const DEFAULT_SAMPLE_INTERVAL_MS = 70;
+const DEFAULT_MAX_ENGINE_ERRORS = 3;
+const DEFAULT_AUDIO_CHECKPOINT_MS = 5000;
+const DEFAULT_ANALYSER_SAMPLE_RATE = 48_000;
+const DEFAULT_LIMIT_WARNING_MS = 10_000;
+const RECORDING_SAMPLE_RATE = 16_000;
+const DEFAULT_RECORDING_MAX_DURATION_MS = 5 * 60_000;
+
+function segmentsText(segments: VoiceDraftSegment[]): string {
+  return joinTranscript(...segments.map((segment) => segment.text));
+}
+
+function engineName(adapter: VoiceDraftAdapter): string {
+  return adapter.name ?? "custom";
+}
+
+function isAdapterSupported(adapter: VoiceDraftAdapter): boolean {
+  return adapter.isSupported?.() ?? true;
+}
+
+// Level thresholds only mean something in fixed mode, so configs that set one without a
+// `mode` (written before the adaptive default) keep gating on level.
+function resolveNoiseGateMode(options: VoiceDraftControllerOptions): "adaptive" | "fixed" {
+  if (options.noiseGate?.mode) {
+    return options.noiseGate.mode;
+  }
+  const hasThreshold = options.noiseGate?.activationThreshold !== undefined || options.silence?.minLevel !== undefined;
+  return hasThreshold ? "fixed" : "adaptive";
+}
+
+function resolveNoiseGate(options: VoiceDraftControllerOptions) {
+  return {
+    mode: resolveNoiseGateMode(options),
+    activationThreshold: options.noiseGate?.activationThreshold ?? 0.25,
+    minActiveLevel: options.noiseGate?.minActiveLevel ?? 0.06,
+    gain: options.noiseGate?.gain ?? 8,
+    curveExponent: options.noiseGate?.curveExponent ?? 0.6,
+  };
+}
+
+function resolveSilence(options: VoiceDraftControllerOptions, minActiveLevel: number) {
+  return {
+    enabled: options.silence?.enabled ?? false,
+    autoStopMs: options.silence?.autoStopMs ?? 1200,
+    minSpeechMs: options.silence?.minSpeechMs ?? 300,
+    minLevel: options.silence?.minLevel ?? minActiveLevel,
+  };
+}
+
+function unsupportedLocale(locale: string): VoiceDraftError {
+  return new VoiceDraftError("unsupported-locale", `The locale "${locale}" is not supported.`);
+}
+
+export class VoiceDraftController {
+  private options: VoiceDraftControllerOptions;
+  private state: VoiceDraftSnapshot;
+  private readonly serverState: VoiceDraftSnapshot;
+  private watchingPermission = false;
+  private readonly listeners = new Set<() => void>();
+  private defaultAdapter: { finalizeDelayMs?: number; adapter: VoiceDraftAdapter } | null = null;
+
+  private activeAdapter: VoiceDraftAdapter | null = null;
+  private activeIndex = -1;
+  // The locale the active engine was started with.
+  private engineLocale: string | null = null;
+  // Session time at which the active engine started; its result times count from there.
+  private engineStart = 0;
+  private engineErrors = 0;
+  private session = 0;
+  private preferredDeviceId: string | null | undefined = undefined;
+  private micStream: MediaStream | null = null;
+  private micSource: MediaStreamAudioSourceNode | null = null;
+  private audioContext: AudioContext | null = null;
+  private analyser: AnalyserNode | null = null;
+  private output: MediaStreamAudioDestinationNode | null = null;
+  private unwatchDevices: (() => void) | null = null;
+  private switchingDevice: Promise<boolean> | null = null;
+  private raf = 0;
+  private clock: ReturnType<typeof setTimeout> | null = null;
+  private levelMeter: LevelMeter | null = null;
+  private readonly levels: MeterBuffer;
+  private startTime = 0;
+  private pausedAt = 0;
+  private limitWarned = false;
+  // Serializes engine stops and restarts from pause() and resume().
+  private engineQueue: Promise<void> = Promise.resolve();
+  // Finalized segments, kept separate so "scratch that" can remove the last one.
+  private segments: VoiceDraftSegment[] = [];
+  private interim: VoiceDraftSegment | null = null;
+  private loadedDraftId: string | null = null;
+  private persisting: Promise<void> = Promise.resolve();
+  private audioRecording: { recorder: MediaRecorder; chunks: Blob[]; discarded: boolean } | null = null;
+  private recordedAudio: Blob | null = null;
+  private capture: { pcm: Promise<PcmCapture | null>; buffer: PcmRingBuffer; sampleRate: number } | null = null;
+  private finalizing: Promise<string> | null = null;
+  private vad: VoiceActivityDetector | null = null;
+  private activated = false;
+  private firstSpeechMs: number | null = null;
+  private lastActiveMs = 0;
+
+  // Waveform history. Read it from a renderer loop; it does not go through the snapshot.
+  readonly meter: VoiceDraftMeter;
+
+  constructor(options: VoiceDraftControllerOptions = {}) {
+    this.options = options;
+    this.levels = createMeterBuffer(options.maxHistory ?? DEFAULT_MAX_HISTORY);
+    this.meter = this.levels;
+    const capabilities = this.detectCapabilities("unknown");
+    const locale = this.checkLocale(options.locale ?? DEFAULT_LOCALE);
+    const localeError = locale ? null : unsupportedLocale(options.locale ?? DEFAULT_LOCALE);
+    this.state = {
+      canTranscribe: capabilities.canTranscribe,
+      capabilities,
+      status: "idle",
+      listening: false,
+      elapsed: 0,
+      remaining: null,
+      limitApproaching: false,
+      draftText: "",
+      segments: [],
+      engine: null,
+      locale: locale ?? DEFAULT_LOCALE,
+      stopReason: null,
+      lastError: localeError,
+      deviceId: null,
+      recoverableDraft: null,
+      recording: null,
+    };
+    this.serverState = { ...this.state, canTranscribe: false, capabilities: SERVER_CAPABILITIES };
+    if (localeError) {
+      // After construction, so a hook creating the controller does not call onError mid-render.
+      queueMicrotask(() => this.reportError(localeError));
+    }
+  }
+
+  getSnapshot = (): VoiceDraftSnapshot => this.state;
+
+  // Matches what a server render saw, so hydration never mismatches on browser capabilities.
+  getServerSnapshot = (): VoiceDraftSnapshot => this.serverState;
+
+  subscribe = (listener: () => void): (() => void) => {
+    this.listeners.add(listener);
+    this.watchPermission();
+    this.loadRecoverableDraft();
+    return () => {
+      this.listeners.delete(listener);
+    };
+  };
+
+  setOptions(options: VoiceDraftControllerOptions): void {
+    const previousLocale = this.options.locale;
+    this.options = options;
+    this.refreshCapabilities();
+    this.loadRecoverableDraft();
+    // A changed `locale` option acts like setLocale(); an unchanged one keeps what setLocale() picked.
+    if (options.locale !== previousLocale) {
+      this.setLocale(options.locale ?? DEFAULT_LOCALE);
+    }
+  }
+
+  // Shows the browser's microphone prompt ahead of the first session, e.g. on an onboarding screen.
+  requestPermission = async (): Promise<boolean> => {
+    try {
+      await requestMicrophonePermission(this.getPreferredDeviceId(), this.options.audioConstraints);
+      this.refreshCapabilities("granted");
+      return true;
+    } catch (error) {
+      const normalized = toVoiceDraftError(error);
+      if (normalized.code === "permission-denied") {
+        this.refreshCapabilities("denied");
+      }
+      this.notifyError(normalized);
+      return false;
+    }
+  };
+
+  // Returns false when the current status does not allow starting a new session.
+  start = (): boolean => {
+    if (!canTransition(this.state.status, "requesting-permission")) {
+      return false;
+    }
+
+    const unavailable = this.detectUnavailable();
+    if (unavailable) {
+      this.fail(unavailable);
+      return false;
+    }
+
+    this.releaseAdapter();
+    this.stopAudio();
+    this.resetSession(true);
+    this.recordedAudio = null;
+    this.engineQueue = Promise.resolve();
+    // A new session overwrites the saved draft with its first checkpoint.
+    this.setState({ lastError: null, recoverableDraft: null, stopReason: null });
+    this.transition("requesting-permission");
+
+    const session = this.session;
+    navigator.mediaDevices
+      .getUserMedia({ audio: this.getAudioConstraints() })
+      .then((stream) => {
+        if (this.session !== session || !this.transition("listening")) {
+          stream.getTracks().forEach((track) => track.stop());
+          return;
+        }
+        this.refreshCapabilities("granted");
+        const { audioContext, output } = this.startAudioVisualization(stream);
+        this.startAdapter(output, audioContext);
+        this.startAudioCheckpoints(output);
+        this.startRecording(audioContext, output);
+      })
+      .catch((error) => {
+        if (this.session === session && this.state.status === "requesting-permission") {
+          const normalized = fromGetUserMediaError(error);
+          if (normalized.code === "permission-denied") {
+            this.refreshCapabilities("denied");
+          }
+          this.fail(normalized);
+        }
+      });
+    return true;
+  };
+
+  // Finalizing is idempotent: calls made while finalizing share the pending result.
+  stop = (): Promise<string> => this.finish("manual");
+
+  // Stops recognition and suspends metering and recording. The draft is kept and resume()
+  // continues it; the elapsed clock stands still meanwhile.
+  pause = (): boolean => {
+    if (!this.transition("paused")) {
+      return false;
+    }
+    this.pausedAt = performance.now();
+    this.stopClock();
+    void this.audioContext?.suspend?.();
+    const recorder = this.audioRecording?.recorder;
+    if (recorder?.state === "recording") {
+      recorder.pause();
+    }
+
+    this.engineQueue = this.engineQueue.then(async () => {
+      await this.settleEngine();
+    });
+    return true;
+  };
+
+  resume = (): boolean => {
+    const output = this.output;
+    const audioContext = this.audioContext;
+    if (!output || !audioContext || !this.transition("listening")) {
+      return false;
+    }
+    this.startTime += performance.now() - this.pausedAt;
+    void audioContext.resume?.();
+    const recorder = this.audioRecording?.recorder;
+    if (recorder?.state === "paused") {
+      recorder.resume();
+    }
+    this.startClock();
+
+    this.engineQueue = this.engineQueue.then(() => {
+      if (this.state.status === "listening" && !this.activeAdapter && this.audioContext === audioContext) {
+        this.startAdapter(output.stream, audioContext, Math.max(0, this.activeIndex));
+      }
+    });
+    return true;
+  };
+
+  // Returns false when cancelling is not allowed, i.e. while the transcript is finalizing.
+  cancel = (): boolean => {
+    if (this.state.status === "finalizing") {
+      return false;
+    }
+    this.releaseAdapter();
+    this.stopAudio();
+    this.resetSession(true);
+    this.forgetDraft();
+    if (this.state.status !== "idle") {
+      this.transition("idle");
+    }
+    return true;
+  };
+
+  clearDraft = (): void => {
+    this.segments = [];
+    this.interim = null;
+    this.setState({ draftText: "", segments: [], recording: null });
+    this.forgetDraft();
+    if (this.state.status === "review" || this.state.status === "error") {
+      this.transition("idle");
+    }
+  };
+
+  // Replaces the draft with the user's edits during review. Ignored while a session is running.
+  setDraftText = (text: string): boolean => {
+    const { status } = this.state;
+    if (status !== "idle" && status !== "review" && status !== "error") {
+      return false;
+    }
+    // Edited text replaces the engine's segments, along with their confidence and timing.
+    this.segments = text
+      ? [{ text, isFinal: true, confidence: null, alternatives: [], start: 0, end: 0, engine: null, locale: null }]
+      : [];
+    this.interim = null;
+    this.setState({ draftText: text, segments: this.segments });
+    this.checkpoint();
+    return true;
+  };
+
+  // Picks the input device for future sessions and swaps it into a running one.
+  // `null` selects the system default. Returns false if the device could not be opened.
+  setDevice = (deviceId: string | null): Promise<boolean> => {
+    this.preferredDeviceId = deviceId;
+    if (!this.hasInput()) {
+      return Promise.resolve(true);
+    }
+    return this.switchInput(deviceId, (error) => this.notifyError(error));
+  };
+
+  // Switches the recognition language. A running session restarts its engine and keeps the text
+  // finalized so far; a paused one uses the new language on resume(). Returns false, and reports an
+  // "unsupported-locale" error, for a malformed tag or one the engine does not list.
+  setLocale = (locale: string): boolean => {
+    const normalized = this.checkLocale(locale);
+    if (!normalized) {
+      this.notifyError(unsupportedLocale(locale));
+      return false;
+    }
+    if (normalized === this.state.locale) {
+      return true;
+    }
+    this.setState({ locale: normalized });
+    if (this.state.status !== "listening") {
+      return true;
+    }
+
+    const output = this.output;
+    const audioContext = this.audioContext;
+    this.engineQueue = this.engineQueue.then(async () => {
+      if (!(await this.settleEngine()) || !output || !audioContext) {
+        return;
+      }
+      if (this.state.status === "listening" && !this.activeAdapter && this.audioContext === audioContext) {
+        this.startAdapter(output.stream, audioContext, Math.max(0, this.activeIndex));
+      }
+    });
+    return true;
+  };
+
+  // The locales the current engine (or the first available one) recognizes, or null if it accepts any.
+  getSupportedLocales = (): readonly string[] | null => {
+    const adapter = this.activeAdapter ?? this.getAdapters()[this.findEngine(0)];
+    return adapter?.supportedLocales ?? null;
+  };
+
+  // The session audio as a 16 kHz mono WAV: what has been captured so far while listening,
+  // or the finished recording in review. Needs the `recording` option.
+  getRecording = (): Blob | null => {
+    const capture = this.capture;
+    if (capture) {
+      return capture.buffer.length > 0 ? encodeWav(capture.buffer.read(), capture.sampleRate) : null;
+    }
+    return this.state.recording;
+  };
+
+  dispose(): void {
+    this.releaseAdapter();
+    this.stopAudio();
+    if (this.state.status !== "idle") {
+      this.resetSession(false);
+      // Teardown bypasses the transition table.
+      this.setState({ status: "idle", listening: false });
+    }
+  }
+
+  private finish(reason: VoiceDraftStopReason): Promise<string> {
+    const { status } = this.state;
+    if (status === "finalizing" && this.finalizing) {
+      return this.finalizing;
+    }
+    if (status === "requesting-permission") {
+      this.cancel();
+      return Promise.resolve("");
+    }
+    if (status !== "listening" && status !== "paused") {
+      return Promise.resolve(this.state.draftText);
+    }
+
+    this.setState({ stopReason: reason });
+    this.transition("finalizing");
+    this.finalizing = this.finalize().finally(() => {
+      this.finalizing = null;
+    });
+    return this.finalizing;
+  }
+
+  private async finalize(): Promise<string> {
+    const recording = this.stopRecording();
+    // Let a pause that is still stopping the engine commit its results first.
+    await this.engineQueue;
+    if (this.state.status !== "finalizing") {
+      return "";
+    }
+    const session = this.session;
+    const tail = await this.stopEngine();
+    const audio = await recording;
+
+    // Disposed while the engine was finalizing.
+    if (this.session !== session) {
+      return "";
+    }
+    this.activeAdapter = null;
+    this.session += 1;
+
+    const commands = this.promoteInterim();
+    for (const result of tail) {
+      commands.push(...this.commitResult({ ...this.fromEngine(result), isFinal: true }));
+    }
+    const text = segmentsText(this.segments).trim();
+
+    this.stopAudio();
+    this.resetSession(false);
+    this.setState({ draftText: text, segments: this.segments, recording: audio });
+    this.checkpoint();
+    this.transition(text ? "review" : "idle");
+    this.runCommands(commands);
+
+    return text;
+  }
+
+  private async stopEngine(): Promise<VoiceDraftAdapterResult[]> {
+    const active = this.activeAdapter;
+    if (!active) {
+      return [];
+    }
+    try {
+      const result = await active.stop();
+      return result?.segments ?? [{ transcript: result?.transcript ?? "", isFinal: true, locale: result?.locale }];
+    } catch (error) {
+      this.notifyError(error);
+      return [];
+    }
+  }
+
+  // Stops the engine and commits its remaining text. Returns false if the session moved on meanwhile.
+  private async settleEngine(): Promise<boolean> {
+    const session = this.session;
+    const tail = await this.stopEngine();
+    if (this.session !== session) {
+      return false;
+    }
+    // Late results from the stopped engine are ignored.
+    this.activeAdapter = null;
+    this.session += 1;
+    const commands = this.promoteInterim();
+    for (const result of tail) {
+      commands.push(...this.commitResult({ ...this.fromEngine(result), isFinal: true }));
+    }
+    this.updateDraftText();
+    this.checkpoint();
+    this.runCommands(commands);
+    return true;
+  }
+
+  // Ends the session in the "error" status, keeping whatever text was transcribed.
+  private fail(error: unknown): void {
+    this.releaseAdapter();
+    this.stopAudio();
+    this.promoteInterim();
+    const text = segmentsText(this.segments).trim();
+    this.resetSession(false);
+    this.setState({ draftText: text, segments: this.segments });
+    this.transition("error");
+    this.notifyError(error);
+  }
+
+  private transition(status: VoiceDraftStatus): boolean {
+    if (!canTransition(this.state.status, status)) {
+      return false;
+    }
+    this.setState({ status, listening: status === "listening" });
+    return true;
+  }
+
+  private setState(patch: Partial<VoiceDraftSnapshot>): void {
+    this.state = { ...this.state, ...patch };
+    this.listeners.forEach((listener) => listener());
+  }
+
+  private getAdapters(): VoiceDraftAdapter[] {
+    if (this.options.adapters && this.options.adapters.length > 0) {
+      return this.options.adapters;
+    }
+    if (this.options.adapter) {
+      return [this.options.adapter];
+    }
+    const finalizeDelayMs = this.options.finalizeDelayMs;
+    if (!this.defaultAdapter || this.defaultAdapter.finalizeDelayMs !== finalizeDelayMs) {
+      this.defaultAdapter = { finalizeDelayMs, adapter: webSpeechAdapter({ finalizeDelayMs }) };
+    }
+    return [this.defaultAdapter.adapter];
+  }
+
+  private detectCapabilities(permission = this.state.capabilities.microphonePermission): VoiceDraftCapabilities {
+    return detectVoiceDraftCapabilities(this.getAdapters(), permission);
+  }
+
+  private refreshCapabilities(permission?: VoiceDraftCapabilities["microphonePermission"]): void {
+    const capabilities = this.detectCapabilities(permission);
+    const previous = this.state.capabilities;
+    const changed = (Object.keys(capabilities) as Array<keyof VoiceDraftCapabilities>).some(
+      (key) => capabilities[key] !== previous[key],
+    );
+    if (changed) {
+      this.setState({ capabilities, canTranscribe: capabilities.canTranscribe });
+    }
+  }
+
+  private watchPermission(): void {
+    if (this.watchingPermission || typeof window === "undefined") {
+      return;
+    }
+    this.watchingPermission = true;
+    if (typeof navigator === "undefined" || typeof navigator.permissions?.query !== "function") {
+      return;
+    }
+    navigator.permissions
+      .query({ name: "microphone" as PermissionName })
+      .then((status) => {
+        this.refreshCapabilities(status.state);
+        status.addEventListener?.("change", () => this.refreshCapabilities(status.state));
+      })
+      .catch(() => {
+        // "microphone" is not a queryable permission in every browser.
+      });
+  }
+
+  private getAudioConstraints(deviceId = this.getPreferredDeviceId()): MediaTrackConstraints | true {
+    return buildAudioConstraints(deviceId, this.options.audioConstraints);
+  }
+
+  private getPreferredDeviceId(): string | null | undefined {
+    return this.preferredDeviceId === undefined ? this.options.deviceId : this.preferredDeviceId;
+  }
+
+  private detectUnavailable(): VoiceDraftError | null {
+    const capabilities = this.detectCapabilities();
+    if (!capabilities.secureContext) {
+      return new VoiceDraftError("insecure-context", "Microphone access requires a secure (HTTPS) context.");
+    }
+    if (!capabilities.mediaDevices || !capabilities.audioContext) {
+      return new VoiceDraftError("not-supported", "Microphone capture is not supported in this browser.");
+    }
+    if (!capabilities.engine) {
+      return new VoiceDraftError("not-supported", "No transcription engine is available in this browser.");
+    }
+    return null;
+  }
+
+  private getAlternateLocales(): string[] {
+    const locales = new Set<string>();
+    for (const locale of this.options.alternateLocales ?? []) {
+      const normalized = normalizeLocale(locale);
+      if (normalized && normalized !== this.state.locale) {
+        locales.add(normalized);
+      }
+    }
+    return [...locales];
+  }
+
+  // A restarted engine (resume, locale switch, fallback) also gets the text dictated so far.
+  private getHints(): VoiceDraftAdapterHints {
+    const { hints } = this.options;
+    const normalized = normalizeHints(typeof hints === "function" ? hints() : hints);
+    return { ...normalized, context: joinTranscript(normalized.context, this.state.draftText) };
+  }
+
+  private findEngine(fromIndex: number): number {
+    const adapters = this.getAdapters();
+    for (let index = fromIndex; index < adapters.length; index += 1) {
+      if (isAdapterSupported(adapters[index])) {
+        return index;
+      }
+    }
+    return -1;
+  }
+
+  private notifyError(error: unknown): void {
+    const normalized = toVoiceDraftError(error);
+    this.setState({ lastError: normalized });
+    this.reportError(normalized);
+  }
+
+  private reportError(error: VoiceDraftError): void {
+    this.options.onError?.(error);
+    if (!this.options.onError) {
+      console.error("[VoiceDraft]", error);
+    }
+  }
+
+  // The canonical form of `locale`, or null when it is malformed or the engine does not list it.
+  private checkLocale(locale: string): string | null {
+    const normalized = normalizeLocale(locale);
+    const supported = this.getSupportedLocales();
+    return normalized && (!supported || matchLocale(normalized, supported)) ? normalized : null;
+  }
+
+  private updateDraftText(): void {
+    const segments = this.interim ? [...this.segments, this.interim] : this.segments;
+    this.setState({ draftText: segmentsText(segments), segments });
+  }
+
+  private releaseAdapter(): void {
+    const active = this.activeAdapter;
+    this.activeAdapter = null;
+    this.session += 1;
+    if (!active) {
+      return;
+    }
+    try {
+      void Promise.resolve(active.cancel?.()).catch(() => {
+        // ignore
+      });
+    } catch {
+      // ignore
+    }
+  }
+
+  private stopAudio(): void {
+    this.discardRecording();
+
+    const recorder = this.audioRecording?.recorder;
+    if (recorder && recorder.state !== "inactive") {
+      try {
+        recorder.stop();
+      } catch {
+        // ignore
+      }
+    }
+
+    if (this.raf) {
+      cancelAnimationFrame(this.raf);
+      this.raf = 0;
+    }
+    this.stopClock();
+    this.levelMeter?.stop();
+    this.levelMeter = null;
+
+    this.unwatchDevices?.();
+    this.unwatchDevices = null;
+
+    this.micStream?.getTracks().forEach((track) => track.stop());
+    this.micStream = null;
+    this.micSource = null;
+
+    try {
+      void this.audioContext?.close();
+    } catch {
+      // ignore cleanup errors
+    }
+
+    this.audioContext = null;
+    this.analyser = null;
+    this.output = null;
+    this.vad = null;
+  }
+
+  private resetSession(clearText: boolean): void {
+    this.activated = false;
+    this.firstSpeechMs = null;
+    this.lastActiveMs = 0;
+    this.levels.clear();
+
+    this.limitWarned = false;
+
+    const maxDurationMs = this.options.maxDurationMs;
+    const patch: Partial<VoiceDraftSnapshot> = {
+      elapsed: 0,
+      remaining: maxDurationMs ? Math.ceil(maxDurationMs / 1000) : null,
+      limitApproaching: false,
+    };
+    if (clearText) {
+      this.segments = [];
+      this.interim = null;
+      patch.draftText = "";
+      patch.segments = [];
+      patch.recording = null;
+      patch.engine = null;
+    }
+    this.setState(patch);
+  }
+
+  private handleResult(result: VoiceDraftAdapterResult): void {
+    if (!result.isFinal) {
+      this.interim = this.toSegment(result, this.interim?.start);
+      this.updateDraftText();
+      return;
+    }
+    const commands = this.commitResult(result);
+    this.updateDraftText();
+    this.checkpoint();
+    this.runCommands(commands);
+  }
+
+  private sessionTime(): number {
+    return this.startTime ? Math.max(0, Math.round(performance.now() - this.startTime)) : 0;
+  }
+
+  // Engines time results from their own start (the clip they upload, the connection they open), so a
+  // restarted or fallback engine would count from zero again.
+  private fromEngine(result: VoiceDraftAdapterResult): VoiceDraftAdapterResult {
+    const offset = this.engineStart;
+    return {
+      ...result,
+      start: result.start === undefined ? undefined : result.start + offset,
+      end: result.end === undefined ? undefined : result.end + offset,
+    };
+  }
+
+  // Engines that know their timing report offsets; otherwise a segment spans from its first
+  // interim result (or the end of the previous segment) to the moment it arrives.
+  private toSegment(result: VoiceDraftAdapterResult, start?: number): VoiceDraftSegment {
+    const end = result.end ?? this.sessionTime();
+    return {
+      text: result.transcript,
+      isFinal: result.isFinal,
+      confidence: result.confidence ?? null,
+      alternatives: result.alternatives ?? [],
+      start: result.start ?? start ?? (result.isFinal ? Math.min(end, this.segments.at(-1)?.end ?? 0) : end),
+      end,
+      engine: this.state.engine,
+      locale: result.locale ?? this.engineLocale ?? this.state.locale,
+    };
+  }
+
+  // Keeps an interim result that the engine will no longer finalize, e.g. on stop or failover.
+  private promoteInterim(): string[] {
+    const interim = this.interim;
+    if (!interim) {
+      return [];
+    }
+    return this.commitResult({
+      transcript: interim.text,
+      isFinal: true,
+      confidence: interim.confidence ?? undefined,
+      alternatives: interim.alternatives,
+      start: interim.start,
+      end: interim.end,
+      locale: interim.locale ?? undefined,
+    });
+  }
+
+  private getGrammar(locale: string): VoiceDraftGrammar | null {
+    const { grammar } = this.options;
+    if (grammar === false) {
+      return null;
+    }
+    if (typeof grammar === "function") {
+      return grammar(locale);
+    }
+    return grammar ?? getVoiceDraftGrammar(locale);
+  }
+
+  // Applies spoken punctuation, edit commands and transformers; returns the app commands that were spoken.
+  private commitResult(result: VoiceDraftAdapterResult): string[] {
+    const segment = this.toSegment(result, this.interim?.start);
+    this.interim = null;
+    if (!segment.text.trim()) {
+      return [];
+    }
+    const { text: spoken, drop, commands } = applyVoiceCommands(
+      segment.text,
+      this.getGrammar(segment.locale ?? this.state.locale),
+      Object.keys(this.options.commands ?? {}),
+    );
+    if (drop > 0) {
+      this.segments = this.segments.slice(0, Math.max(0, this.segments.length - drop));
+    }
+    const text = applyTransformers(spoken, this.options.transformers ?? [], {
+      locale: segment.locale ?? this.state.locale,
+      before: segmentsText(this.segments),
+    });
+    if (text) {
+      this.segments = [...this.segments, { ...segment, text }];
+    }
+    return commands;
+  }
+
+  private persist(write: (persistence: VoiceDraftPersistenceOptions) => Promise<void> | void): void {
+    const persistence = this.options.persistence;
+    if (!persistence) {
+      return;
+    }
+    // Writes are chained so a slow save never lands after a later one.
+    this.persisting = this.persisting
+      .then(() => write(persistence))
+      .catch((error) => this.notifyError(new VoiceDraftError("storage", "The draft could not be saved.", { cause: error })));
+  }
+
+  private checkpoint(): void {
+    const segments = this.segments;
+    const audio = this.recordedAudio;
+    this.persist(({ storage, draftId }) => {
+      const checkpoint: VoiceDraftCheckpoint = {
+        id: draftId,
+        text: segmentsText(segments).trim(),
+        segments,
+        locale: this.state.locale,
+        updatedAt: Date.now(),
+      };
+      if (audio) {
+        checkpoint.audio = audio;
+      }
+      return storage.save(checkpoint);
+    });
+  }
+
+  private forgetDraft(): void {
+    if (this.audioRecording) {
+      this.audioRecording.discarded = true;
+    }
+    this.recordedAudio = null;
+    this.persist(({ storage, draftId }) => storage.remove(draftId));
+  }
+
+  // Offers the checkpoint left by a reloaded or crashed page. Runs on the client only, after
+  // the first subscription, so server and hydration renders see no recoverable draft.
+  private loadRecoverableDraft(): void {
+    const persistence = this.options.persistence;
+    const draftId = persistence?.draftId ?? null;
+    if (!this.watchingPermission || draftId === this.loadedDraftId) {
+      return;
+    }
+    this.loadedDraftId = draftId;
+    if (this.state.recoverableDraft) {
+      this.setState({ recoverableDraft: null });
+    }
+    if (!persistence) {
+      return;
+    }
+    Promise.resolve()
+      .then(() => persistence.storage.load(persistence.draftId))
+      .then((checkpoint) => {
+        const offered = checkpoint && (checkpoint.text || checkpoint.audio);
+        if (!offered || this.loadedDraftId !== checkpoint.id || this.state.status !== "idle" || this.state.draftText) {
+          return;
+        }
+        this.setState({ recoverableDraft: this.toRecoverableDraft(checkpoint) });
+      })
+      .catch((error) => {
+        this.notifyError(new VoiceDraftError("storage", "The saved draft could not be loaded.", { cause: error }));
+      });
+  }
+
+  private toRecoverableDraft(checkpoint: VoiceDraftCheckpoint): VoiceDraftRecoverableDraft {
+    return {
+      text: checkpoint.text,
+      segments: checkpoint.segments,
+      updatedAt: checkpoint.updatedAt,
+      audio: checkpoint.audio ?? null,
+      restore: () => {
+        const { status, recoverableDraft } = this.state;
+        const offered = recoverableDraft?.updatedAt === checkpoint.updatedAt;
+        if (!offered || (status !== "idle" && status !== "review")) {
+          return false;
+        }
+        this.segments = checkpoint.segments;
+        this.interim = null;
+        this.setState({ draftText: checkpoint.text, segments: checkpoint.segments, recoverableDraft: null });
+        if (status === "idle" && checkpoint.text) {
+          this.transition("review");
+        }
+        return true;
+      },
+      discard: () => {
+        if (this.state.recoverableDraft?.updatedAt === checkpoint.updatedAt) {
+          this.setState({ recoverableDraft: null });
+        }
+        this.persist(({ storage }) => storage.remove(checkpoint.id));
+        return this.persisting;
+      },
+    };
+  }
+
+  private startAudioCheckpoints(stream: MediaStream): void {
+    const persistence = this.options.persistence;
+    if (!persistence?.audio || typeof MediaRecorder === "undefined") {
+      return;
+    }
+    const recorder = new MediaRecorder(stream);
+    const recording = { recorder, chunks: [] as Blob[], discarded: false };
+    recorder.addEventListener("dataavailable", (event) => {
+      if (recording.discarded || event.data.size === 0) {
+        return;
+      }
+      recording.chunks.push(event.data);
+      this.recordedAudio = new Blob(recording.chunks, { type: recorder.mimeType || event.data.type });
+      this.checkpoint();
+    });
+    this.audioRecording = recording;
+    recorder.start(persistence.audioIntervalMs ?? DEFAULT_AUDIO_CHECKPOINT_MS);
+  }
+
+  private startRecording(audioContext: AudioContext, stream: MediaStream): void {
+    const { recording } = this.options;
+    if (!recording || typeof AudioWorkletNode === "undefined" || !audioContext.audioWorklet) {
+      return;
+    }
+    const maxDurationMs = (recording === true ? undefined : recording.maxDurationMs) ?? DEFAULT_RECORDING_MAX_DURATION_MS;
+    const buffer = createPcmRingBuffer(Math.round((RECORDING_SAMPLE_RATE * maxDurationMs) / 1000));
+    const capture = { buffer, sampleRate: RECORDING_SAMPLE_RATE, pcm: Promise.resolve<PcmCapture | null>(null) };
+    capture.pcm = startPcmCapture(audioContext, stream, {
+      sampleRate: RECORDING_SAMPLE_RATE,
+      onFrame: (frame) => buffer.push(frame),
+    })
+      .then((pcm) => {
+        capture.sampleRate = pcm.sampleRate;
+        return pcm;
+      })
+      .catch((error) => {
+        this.notifyError(new VoiceDraftError("recording", "Audio recording could not start.", { cause: error }));
+        return null;
+      });
+    this.capture = capture;
+  }
+
+  // Flushes the worklet's last partial frame before encoding.
+  private async stopRecording(): Promise<Blob | null> {
+    const capture = this.capture;
+    this.capture = null;
+    if (!capture) {
+      return null;
+    }
+    await (await capture.pcm)?.stop();
+    return capture.buffer.length > 0 ? encodeWav(capture.buffer.read(), capture.sampleRate) : null;
+  }
+
+  private discardRecording(): void {
+    const capture = this.capture;
+    this.capture = null;
+    void capture?.pcm.then((pcm) => pcm?.stop());
+  }
+
+  private runCommands(phrases: string[]): void {
+    for (const phrase of phrases) {
+      try {
+        const result = this.options.commands?.[phrase]?.({
+          phrase,
+          draftText: this.state.draftText,
+          stop: this.stop,
+          cancel: this.cancel,
+        });
+        // Async handlers report their rejections the same way.
+        Promise.resolve(result).catch((error) => this.notifyError(error));
+      } catch (error) {
+        this.notifyError(error);
+      }
+    }
+  }
+
+  private startAdapter(stream: MediaStream, audioContext: AudioContext, fromIndex = 0): void {
+    const index = this.findEngine(fromIndex);
+    if (index < 0) {
+      this.fail(new VoiceDraftError("not-supported", "No transcription engine is available in this browser."));
+      return;
+    }
+
+    const adapter = this.getAdapters()[index];
+    const session = this.session + 1;
+    this.session = session;
+    this.activeAdapter = adapter;
+    this.activeIndex = index;
+    this.engineErrors = 0;
+    this.engineLocale = this.state.locale;
+    this.engineStart = this.sessionTime();
+    this.setState({ engine: engineName(adapter) });
+
+    const isCurrent = () => this.session === session;
+
+    Promise.resolve()
+      .then(() =>
+        adapter.start({
+          locale: this.state.locale,
+          alternateLocales: this.getAlternateLocales(),
+          hints: this.getHints(),
+          stream,
+          audioContext,
+          onResult: (result) => {
+            if (isCurrent()) {
+              this.handleResult(this.fromEngine(result));
+            }
+          },
+          onError: (error) => {
+            if (isCurrent()) {
+              this.handleEngineError(toVoiceDraftError(error));
+            }
+          },
+        }),
+      )
+      .catch((error) => {
+        if (!isCurrent() || this.state.status !== "listening") {
+          return;
+        }
+        const normalized = toVoiceDraftError(error);
+        if (!this.failover(normalized)) {
+          this.fail(normalized);
+        }
+      });
+  }
+
+  private handleEngineError(error: VoiceDraftError): void {
+    if (error.recoverable) {
+      this.engineErrors += 1;
+      if (this.engineErrors < (this.options.maxEngineErrors ?? DEFAULT_MAX_ENGINE_ERRORS)) {
+        return;
+      }
+      this.engineErrors = 0;
+    }
+    if (this.state.status !== "listening") {
+      this.notifyError(error);
+      return;
+    }
+    if (!this.failover(error)) {
+      this.fail(error);
+    }
+  }
+
+  // Moves the session to the next capable engine, keeping the text finalized so far.
+  private failover(error: VoiceDraftError): boolean {
+    const stream = this.output?.stream;
+    const audioContext = this.audioContext;
+    const next = this.findEngine(this.activeIndex + 1);
+    if (!stream || !audioContext || next < 0) {
+      return false;
+    }
+
+    const failed = this.activeAdapter;
+    this.releaseAdapter();
+    this.promoteInterim();
+    this.updateDraftText();
+    this.checkpoint();
+
+    this.startAdapter(stream, audioContext, next);
+    if (failed && this.activeAdapter) {
+      this.options.onEngineFallback?.({
+        from: engineName(failed),
+        to: engineName(this.activeAdapter),
+        error,
+      });
+    }
+    return true;
+  }
+
+  private maybeAutoStop(): void {
+    const silence = resolveSilence(this.options, resolveNoiseGate(this.options).minActiveLevel);
+    if (!silence.enabled || !this.activated || this.state.status !== "listening") {
+      return;
+    }
+
+    const firstSpeechMs = this.firstSpeechMs;
+    if (firstSpeechMs === null) {
+      return;
+    }
+
+    const nowMs = performance.now() - this.startTime;
+    const timeSinceLastActive = nowMs - this.lastActiveMs;
+    const speechDuration = nowMs - firstSpeechMs;
+
+    if (speechDuration < silence.minSpeechMs) {
+      return;
+    }
+
+    if (timeSinceLastActive < silence.autoStopMs) {
+      return;
+    }
+
+    void this.finish("silence")
+      .then((text) => {
+        this.options.onAutoStop?.(text, "silence");
+      })
+      .catch((error) => this.notifyError(error));
+  }
+
+  // Engines read from `output`, so swapping the microphone only rewires the source node.
+  private startAudioVisualization(stream: MediaStream): { audioContext: AudioContext; output: MediaStream } {
+    const audioContext = new AudioContext();
+    const analyser = audioContext.createAnalyser();
+    const output = audioContext.createMediaStreamDestination();
+
+    analyser.fftSize = 256;
+    analyser.smoothingTimeConstant = 0.3;
+
+    this.audioContext = audioContext;
+    this.analyser = analyser;
+    this.output = output;
+    this.vad = createVoiceActivityDetector({
+      calibrationMs: this.options.noiseGate?.calibrationMs,
+      speechThreshold: this.options.noiseGate?.speechThreshold,
+    });
+    this.connectInput(stream);
+    this.watchDevices();
+
+    this.startTime = performance.now();
+    this.startClock();
+
+    const frequencyData = new Uint8Array(analyser.frequencyBinCount);
+    const range = () => ({
+      sampleRate: audioContext.sampleRate ?? DEFAULT_ANALYSER_SAMPLE_RATE,
+      minDecibels: analyser.minDecibels,
+      maxDecibels: analyser.maxDecibels,
+    });
+
+    if (!supportsLevelMeter(audioContext)) {
+      this.pollAnalyser(analyser, frequencyData, range);
+      return { audioContext, output: output.stream };
+    }
+
+    // Levels come from the audio thread; the analyser is only read for the spectrum, once per frame.
+    void startLevelMeter(audioContext, {
+      intervalMs: this.options.sampleIntervalMs ?? DEFAULT_SAMPLE_INTERVAL_MS,
+      onFrame: ({ rms, zeroCrossingRate }) => {
+        if (this.analyser !== analyser) {
+          return;
+        }
+        analyser.getByteFrequencyData(frequencyData);
+        this.handleMeterFrame({ rms, zeroCrossingRate, ...analyzeSpectrum(frequencyData, range()) });
+      },
+    })
+      .then((meter) => {
+        if (this.audioContext !== audioContext) {
+          meter.stop();
+          return;
+        }
+        this.levelMeter = meter;
+        this.micSource?.connect(meter.node);
+      })
+      .catch(() => {
+        if (this.audioContext === audioContext) {
+          this.pollAnalyser(analyser, frequencyData, range);
+        }
+      });
+    return { audioContext, output: output.stream };
+  }
+
+  // Without AudioWorklet, samples the analyser from the animation loop instead.
+  private pollAnalyser(analyser: AnalyserNode, frequencyData: Uint8Array<ArrayBuffer>, range: () => FrequencyDataRange): void {
+    const timeDomainData = new Uint8Array(analyser.fftSize);
+    let lastSample = 0;
+
+    const tick = (now: number) => {
+      if (this.analyser !== analyser) {
+        return;
+      }
+      // A paused session's context is suspended; its samples would only feed the VAD silence.
+      if (
+        this.state.status === "listening" &&
+        now - lastSample >= (this.options.sampleIntervalMs ?? DEFAULT_SAMPLE_INTERVAL_MS)
+      ) {
+        lastSample = now;
+        analyser.getByteTimeDomainData(timeDomainData);
+        analyser.getByteFrequencyData(frequencyData);
+        this.handleMeterFrame(analyzeFrame(timeDomainData, frequencyData, range()));
+      }
+      this.raf = requestAnimationFrame(tick);
+    };
+
+    this.raf = requestAnimationFrame(tick);
+  }
+
+  private handleMeterFrame(features: VoiceActivityFeatures): void {
+    const elapsedMs = performance.now() - this.startTime;
+    const noiseGate = resolveNoiseGate(this.options);
+    const silence = resolveSilence(this.options, noiseGate.minActiveLevel);
+
+    const frame = this.vad?.process(features, elapsedMs) ?? { probability: 0, isSpeech: false };
+    let level = Math.min(1, Math.pow(features.rms * noiseGate.gain, noiseGate.curveExponent));
+    const speaking = noiseGate.mode === "fixed" ? level > noiseGate.activationThreshold : frame.isSpeech;
+
+    if (!this.activated && speaking) {
+      this.activated = true;
+      this.firstSpeechMs = elapsedMs;
+    }
+
+    if (!this.activated) {
+      level = 0;
+    } else {
+      level = Math.max(noiseGate.minActiveLevel, level);
+      if (noiseGate.mode === "fixed" ? level > silence.minLevel : frame.isSpeech) {
+        this.lastActiveMs = elapsedMs;
+      }
+    }
+
+    this.levels.resize(this.options.maxHistory ?? DEFAULT_MAX_HISTORY);
+    this.levels.push(level, frame.probability);
+    this.maybeAutoStop();
+  }
+
+  // Publishes `elapsed` when the second changes rather than on every animation frame, and
+  // enforces `maxDurationMs`. Each tick is scheduled for the next second, warning or limit.
+  private startClock(): void {
+    this.stopClock();
+    const tick = () => {
+      this.clock = null;
+      if (this.state.status !== "listening") {
+        return;
+      }
+      const elapsedMs = performance.now() - this.startTime;
+      const maxDurationMs = this.options.maxDurationMs;
+      const patch: Partial<VoiceDraftSnapshot> = { elapsed: Math.floor(elapsedMs / 1000) };
+      let nextMs = 1000 - (elapsedMs % 1000);
+
+      if (maxDurationMs) {
+        const remainingMs = maxDurationMs - elapsedMs;
+        if (remainingMs <= 0) {
+          void this.finish("max-duration")
+            .then((text) => {
+              this.options.onAutoStop?.(text, "max-duration");
+            })
+            .catch((error) => this.notifyError(error));
+          return;
+        }
+        const warningMs = this.options.limitWarningMs ?? DEFAULT_LIMIT_WARNING_MS;
+        patch.remaining = Math.ceil(remainingMs / 1000);
+        if (remainingMs <= warningMs) {
+          patch.limitApproaching = true;
+          if (!this.limitWarned) {
+            this.limitWarned = true;
+            this.options.onLimitApproaching?.(remainingMs);
+          }
+        } else {
+          nextMs = Math.min(nextMs, remainingMs - warningMs);
+        }
+        nextMs = Math.min(nextMs, remainingMs);
+      }
+
+      if ((Object.keys(patch) as Array<keyof VoiceDraftSnapshot>).some((key) => patch[key] !== this.state[key])) {
+        this.setState(patch);
+      }
+      this.clock = setTimeout(tick, nextMs);
+    };
+    tick();
+  }
+
+  private stopClock(): void {
+    if (this.clock) {
+      clearTimeout(this.clock);
+      this.clock = null;
+    }
+  }
+
+  private connectInput(stream: MediaStream): void {
+    const audioContext = this.audioContext;
+    if (!audioContext || !this.analyser || !this.output) {
+      stream.getTracks().forEach((track) => track.stop());
+      return;
+    }
+
+    const previousStream = this.micStream;
+    try {
+      this.micSource?.disconnect();
+    } catch {
+      // ignore cleanup errors
+    }
+
+    const source = audioContext.createMediaStreamSource(stream);
+    source.connect(this.analyser);
+    source.connect(this.output);
+    if (this.levelMeter) {
+      source.connect(this.levelMeter.node);
+    }
+    this.micStream = stream;
+    this.micSource = source;
+
+    stream.getAudioTracks?.().forEach((track) => {
+      track.addEventListener?.("ended", () => {
+        if (this.micStream === stream) {
+          void this.recoverInput();
+        }
+      });
+    });
+    if (previousStream && previousStream !== stream) {
+      previousStream.getTracks().forEach((track) => track.stop());
+      // A different microphone has a different noise floor.
+      this.vad?.reset();
+    }
+    this.setState({ deviceId: getStreamDeviceId(stream) ?? this.getPreferredDeviceId() ?? null });
+  }
+
+  // The microphone stays open while paused, so the input can be switched or recovered then too: the
+  // new input joins the suspended AudioContext and the engine hears it on resume().
+  private hasInput(): boolean {
+    const { status } = this.state;
+    return status === "listening" || status === "paused";
+  }
+
+  private switchInput(deviceId: string | null, onError: (error: VoiceDraftError) => void): Promise<boolean> {
+    const switching = (this.switchingDevice ?? Promise.resolve(true)).then(async () => {
+      if (!this.hasInput()) {
+        return false;
+      }
+      const session = this.session;
+      try {
+        const stream = await navigator.mediaDevices.getUserMedia({ audio: this.getAudioConstraints(deviceId) });
+        if (this.session !== session || !this.hasInput()) {
+          stream.getTracks().forEach((track) => track.stop());
+          return false;
+        }
+        this.connectInput(stream);
+        return true;
+      } catch (error) {
+        onError(fromGetUserMediaError(error));
+        return false;
+      }
+    });
+    this.switchingDevice = switching.finally(() => {
+      if (this.switchingDevice === switching) {
+        this.switchingDevice = null;
+      }
+    });
+    return switching;
+  }
+
+  private watchDevices(): void {
+    const mediaDevices = navigator.mediaDevices;
+    if (typeof mediaDevices?.addEventListener !== "function") {
+      return;
+    }
+    const onDeviceChange = () => {
+      void this.recoverInput();
+    };
+    mediaDevices.addEventListener("devicechange", onDeviceChange);
+    this.unwatchDevices = () => mediaDevices.removeEventListener("devicechange", onDeviceChange);
+  }
+
+  // Falls back to the default microphone when the active one disappears mid-session.
+  private async recoverInput(): Promise<void> {
+    const stream = this.micStream;
+    if (!stream || !this.hasInput()) {
+      return;
+    }
+
+    const activeId = getStreamDeviceId(stream);
+    const ended = stream.getAudioTracks?.().every((track) => track.readyState === "ended") ?? false;
+    if (!ended && activeId) {
+      const devices = await listAudioInputDevices();
+      if (devices.length === 0 || devices.some((device) => device.deviceId === activeId)) {
+        return;
+      }
+    } else if (!ended) {
+      return;
+    }
+
+    let failure: VoiceDraftError | null = null;
+    const switched = await this.switchInput(null, (error) => {
+      failure = error;
+    });
+    if (!switched && this.micStream === stream && this.hasInput()) {
+      this.fail(
+        new VoiceDraftError("no-microphone", "The active microphone was disconnected.", { cause: failure ?? undefined }),
+      );
+    }
+  }
+}
@@ -0,0 +1,37 @@
+export interface VoiceDraftAudioConstraints {
+  echoCancellation?: boolean;
+  noiseSuppression?: boolean;
+  autoGainControl?: boolean;
+  channelCount?: number;
+  sampleRate?: number;
+}
+
+export function buildAudioConstraints(
+  deviceId: string | null | undefined,
+  constraints: VoiceDraftAudioConstraints = {},
+): MediaTrackConstraints | true {
+  const result: MediaTrackConstraints = {};
+  if (deviceId) {
+    result.deviceId = { exact: deviceId };
+  }
+  for (const key of Object.keys(constraints) as Array<keyof VoiceDraftAudioConstraints>) {
+    if (constraints[key] !== undefined) {
+      Object.assign(result, { [key]: constraints[key] });
+    }
+  }
+  return Object.keys(result).length > 0 ? result : true;
+}
+
+// Labels stay empty until the page has been granted microphone permission once.
+export async function listAudioInputDevices(): Promise<MediaDeviceInfo[]> {
+  if (typeof navigator === "undefined" || typeof navigator.mediaDevices?.enumerateDevices !== "function") {
+    return [];
+  }
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices.filter((device) => device.kind === "audioinput");
+}
+
+export function getStreamDeviceId(stream: MediaStream): string | null {
+  const [track] = stream.getAudioTracks?.() ?? [];
+  return track?.getSettings?.().deviceId ?? null;
+}
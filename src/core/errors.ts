@@ -0,0 +1,104 @@
+export type VoiceDraftErrorCode =
+  | "permission-denied"
+  | "no-microphone"
+  | "device-busy"
+  | "not-supported"
+  | "unsupported-locale"
+  | "insecure-context"
+  | "network"
+  | "engine-error"
+  | "storage"
+  | "recording"
+  | "aborted";
+
+export interface VoiceDraftErrorOptions {
+  recoverable?: boolean;
+  cause?: unknown;
+}
+
+// Whether retrying the same action can succeed without the user changing anything.
+const RECOVERABLE_BY_CODE: Record<VoiceDraftErrorCode, boolean> = {
+  "permission-denied": false,
+  "no-microphone": false,
+  "device-busy": true,
+  "not-supported": false,
+  "unsupported-locale": false,
+  "insecure-context": false,
+  network: true,
+  "engine-error": false,
+  storage: false,
+  recording: false,
+  aborted: true,
+};
+
+export class VoiceDraftError extends Error {
+  readonly code: VoiceDraftErrorCode;
+  readonly recoverable: boolean;
+
+  constructor(code: VoiceDraftErrorCode, message: string, options: VoiceDraftErrorOptions = {}) {
+    super(message, options.cause === undefined ? undefined : { cause: options.cause });
+    this.name = "VoiceDraftError";
+    this.code = code;
+    this.recoverable = options.recoverable ?? RECOVERABLE_BY_CODE[code];
+  }
+}
+
+export function isVoiceDraftError(error: unknown): error is VoiceDraftError {
+  return error instanceof VoiceDraftError;
+}
+
+const SPEECH_RECOGNITION_CODES: Record<string, VoiceDraftErrorCode> = {
+  "not-allowed": "permission-denied",
+  "service-not-allowed": "not-supported",
+  "language-not-supported": "unsupported-locale",
+  "audio-capture": "no-microphone",
+  network: "network",
+  aborted: "aborted",
+};
+
+export function fromSpeechRecognitionError(code: string, message?: string): VoiceDraftError {
+  const mapped = SPEECH_RECOGNITION_CODES[code] ?? "engine-error";
+  const detail = message ? `${code || "unknown error"} (${message})` : code || "unknown error";
+  return new VoiceDraftError(mapped, `SpeechRecognition error: ${detail}`, { cause: { error: code, message } });
+}
+
+const GET_USER_MEDIA_CODES: Record<string, VoiceDraftErrorCode> = {
+  NotAllowedError: "permission-denied",
+  PermissionDeniedError: "permission-denied",
+  SecurityError: "permission-denied",
+  NotFoundError: "no-microphone",
+  DevicesNotFoundError: "no-microphone",
+  OverconstrainedError: "no-microphone",
+  NotReadableError: "device-busy",
+  TrackStartError: "device-busy",
+  AbortError: "device-busy",
+  NotSupportedError: "not-supported",
+  TypeError: "not-supported",
+};
+
+// Only the codes in GET_USER_MEDIA_CODES; anything else gets the generic message.
+const GET_USER_MEDIA_MESSAGES: Partial<Record<VoiceDraftErrorCode, string>> = {
+  "permission-denied": "Microphone permission was denied.",
+  "no-microphone": "No microphone was found.",
+  "device-busy": "The microphone is in use by another application.",
+  "not-supported": "Microphone capture is not supported in this browser.",
+};
+
+export function fromGetUserMediaError(error: unknown): VoiceDraftError {
+  if (isVoiceDraftError(error)) {
+    return error;
+  }
+  const name = typeof error === "object" && error !== null && "name" in error ? String(error.name) : "";
+  const code = GET_USER_MEDIA_CODES[name] ?? "engine-error";
+  return new VoiceDraftError(code, GET_USER_MEDIA_MESSAGES[code] ?? "Microphone access failed.", { cause: error });
+}
+
+export function toVoiceDraftError(error: unknown): VoiceDraftError {
+  if (isVoiceDraftError(error)) {
+    return error;
+  }
+  if (error instanceof Error) {
+    return new VoiceDraftError("engine-error", error.message, { cause: error });
+  }
+  return new VoiceDraftError("engine-error", String(error), { cause: error });
+}
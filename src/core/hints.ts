@@ -0,0 +1,49 @@
+export interface VoiceDraftPhraseHint {
+  phrase: string;
+  // How strongly to favour the phrase, from 1 (slightly) to 10 (strongly). Defaults to 5.
+  boost?: number;
+}
+
+export interface VoiceDraftRecognitionHints {
+  // Words and names the speaker is likely to say: product names, jargon, people.
+  phrases?: Array<string | VoiceDraftPhraseHint>;
+  // Free text the dictation follows or relates to, e.g. what is already in the field.
+  context?: string;
+}
+
+// What adapters receive: phrases are trimmed, de-duplicated and carry a boost; `context` is "" when unset.
+export interface VoiceDraftAdapterHints {
+  phrases: Array<Required<VoiceDraftPhraseHint>>;
+  context: string;
+}
+
+export const DEFAULT_PHRASE_BOOST = 5;
+const MAX_PHRASE_BOOST = 10;
+
+export function normalizeHints(hints: VoiceDraftRecognitionHints | null | undefined): VoiceDraftAdapterHints {
+  const boosts = new Map<string, number>();
+  for (const hint of hints?.phrases ?? []) {
+    const { phrase, boost } = typeof hint === "string" ? { phrase: hint, boost: undefined } : hint;
+    const text = phrase.trim().replace(/\s+/g, " ");
+    if (!text) {
+      continue;
+    }
+    const value = Math.min(MAX_PHRASE_BOOST, Math.max(1, boost ?? DEFAULT_PHRASE_BOOST));
+    // A phrase listed twice keeps its strongest boost.
+    boosts.set(text, Math.max(value, boosts.get(text) ?? 0));
+  }
+  return {
+    phrases: [...boosts].map(([phrase, boost]) => ({ phrase, boost })),
+    context: hints?.context?.trim() ?? "",
+  };
+}
+
+// Whisper-style prompts are read as the transcript preceding the audio, so the vocabulary comes
+// first and the context last, trimmed from the front to `maxLength` characters.
+export function hintsToPrompt(hints: VoiceDraftAdapterHints, prefix = "", maxLength = 800): string {
+  const phrases = [...hints.phrases].sort((a, b) => b.boost - a.boost).map(({ phrase }) => phrase);
+  const glossary = [prefix.trim(), phrases.join(", ")].filter(Boolean).join(" ");
+  const room = Math.max(0, maxLength - glossary.length - 1);
+  const context = hints.context.length > room ? hints.context.slice(hints.context.length - room).replace(/^\S*\s/, "") : hints.context;
+  return [glossary, context].filter(Boolean).join(" ").slice(0, maxLength);
+}
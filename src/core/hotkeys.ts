@@ -0,0 +1,87 @@
+// Hotkeys are written as "+"-separated modifiers and a key, e.g. "Mod+Shift+Space", "Escape"
+// or "Alt+V". "Mod" is Cmd on Apple platforms and Ctrl elsewhere. The key matches
+// `KeyboardEvent.key` case-insensitively or `KeyboardEvent.code` exactly, and single letters
+// also match their physical key, so "Alt+V" works on macOS where Option+V types "√".
+export interface ParsedHotkey {
+  key: string;
+  alt: boolean;
+  ctrl: boolean;
+  meta: boolean;
+  shift: boolean;
+}
+
+export type HotkeyEvent = Pick<KeyboardEvent, "key" | "code" | "altKey" | "ctrlKey" | "metaKey" | "shiftKey">;
+
+export interface HotkeyMatchOptions {
+  // Defaults to detecting the current platform.
+  apple?: boolean;
+}
+
+const KEY_ALIASES: Record<string, string> = {
+  esc: "escape",
+  return: "enter",
+  space: " ",
+  spacebar: " ",
+};
+
+function isApplePlatform(): boolean {
+  if (typeof navigator === "undefined") {
+    return false;
+  }
+  return /mac|iphone|ipad|ipod/i.test(navigator.platform ?? navigator.userAgent ?? "");
+}
+
+export function parseHotkey(hotkey: string, options: HotkeyMatchOptions = {}): ParsedHotkey {
+  const apple = options.apple ?? isApplePlatform();
+  const parts = hotkey.split("+").map((part) => part.trim());
+  // "Ctrl++" ends in an empty part: the key is "+".
+  const key = parts.pop() || "+";
+  const parsed: ParsedHotkey = { key, alt: false, ctrl: false, meta: false, shift: false };
+  for (const part of parts.filter(Boolean)) {
+    switch (part.toLowerCase()) {
+      case "alt":
+      case "option":
+        parsed.alt = true;
+        break;
+      case "ctrl":
+      case "control":
+        parsed.ctrl = true;
+        break;
+      case "meta":
+      case "cmd":
+        parsed.meta = true;
+        break;
+      case "shift":
+        parsed.shift = true;
+        break;
+      case "mod":
+        parsed[apple ? "meta" : "ctrl"] = true;
+        break;
+      default:
+        throw new Error(`Unknown hotkey modifier "${part}" in "${hotkey}".`);
+    }
+  }
+  return parsed;
+}
+
+// True when the event's key is the hotkey's key, ignoring modifiers. Used for key releases,
+// because modifiers may be let go first.
+export function matchesHotkeyKey(event: Pick<KeyboardEvent, "key" | "code">, hotkey: string | ParsedHotkey): boolean {
+  const { key } = typeof hotkey === "string" ? parseHotkey(hotkey, { apple: false }) : hotkey;
+  const lower = key.toLowerCase();
+  if (event.code === key || event.key.toLowerCase() === (KEY_ALIASES[lower] ?? lower)) {
+    return true;
+  }
+  return /^[a-z]$/i.test(key) && event.code === `Key${key.toUpperCase()}`;
+}
+
+export function matchesHotkey(event: HotkeyEvent, hotkey: string, options?: HotkeyMatchOptions): boolean {
+  const parsed = parseHotkey(hotkey, options);
+  return (
+    event.altKey === parsed.alt &&
+    event.ctrlKey === parsed.ctrl &&
+    event.metaKey === parsed.meta &&
+    event.shiftKey === parsed.shift &&
+    matchesHotkeyKey(event, parsed)
+  );
+}
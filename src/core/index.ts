@@ -0,0 +1,93 @@
+export { VoiceDraftController } from "./controller.js";
+export {
+  detectVoiceDraftCapabilities,
+  getVoiceDraftCapabilities,
+  queryMicrophonePermission,
+  requestMicrophonePermission,
+} from "./capabilities.js";
+export type { MicrophonePermissionState, VoiceDraftCapabilities } from "./capabilities.js";
+export { buildAudioConstraints, listAudioInputDevices } from "./devices.js";
+export type { VoiceDraftAudioConstraints } from "./devices.js";
+export {
+  VoiceDraftError,
+  fromGetUserMediaError,
+  fromSpeechRecognitionError,
+  isVoiceDraftError,
+  toVoiceDraftError,
+} from "./errors.js";
+export type { VoiceDraftErrorCode, VoiceDraftErrorOptions } from "./errors.js";
+export { VOICE_DRAFT_GRAMMARS, applyVoiceCommands, getVoiceDraftGrammar, mergeGrammars } from "./commands.js";
+export type { VoiceDraftCommandResult, VoiceDraftEditCommand, VoiceDraftGrammar } from "./commands.js";
+export { DEFAULT_PHRASE_BOOST, hintsToPrompt, normalizeHints } from "./hints.js";
+export type { VoiceDraftAdapterHints, VoiceDraftPhraseHint, VoiceDraftRecognitionHints } from "./hints.js";
+export { matchesHotkey, matchesHotkeyKey, parseHotkey } from "./hotkeys.js";
+export type { HotkeyEvent, HotkeyMatchOptions, ParsedHotkey } from "./hotkeys.js";
+export { indexedDbDraftStorage, localStorageDraftStorage } from "./persistence.js";
+export type {
+  IndexedDbDraftStorageOptions,
+  LocalStorageDraftStorageOptions,
+  VoiceDraftCheckpoint,
+  VoiceDraftStorage,
+} from "./persistence.js";
+export { createPcmRingBuffer, encodeWav } from "./recording.js";
+export type { PcmRingBuffer } from "./recording.js";
+export { createMeterBuffer } from "./meter.js";
+export type { MeterBuffer, VoiceDraftMeter } from "./meter.js";
+export { analyzeFrame, analyzeSpectrum, createVoiceActivityDetector } from "./vad.js";
+export type {
+  FrequencyDataRange,
+  VoiceActivityDetector,
+  VoiceActivityDetectorOptions,
+  VoiceActivityFeatures,
+  VoiceActivityFrame,
+} from "./vad.js";
+export { canTransition } from "./status.js";
+export type { VoiceDraftStatus } from "./status.js";
+export { captureFieldRange, insertIntoField, isTextControl, joinAtCaret } from "./text-field.js";
+export type { VoiceDraftTextControl } from "./text-field.js";
+export {
+  applyTransformers,
+  autoCapitalizeTransformer,
+  fillerWordsTransformer,
+  profanityTransformer,
+  replacementTransformer,
+} from "./transformers.js";
+export type {
+  FillerWordsTransformerOptions,
+  ProfanityTransformerOptions,
+  ReplacementTransformerOptions,
+  VoiceDraftTransformContext,
+  VoiceDraftTransformer,
+} from "./transformers.js";
+export { languageOf, matchLocale, normalizeLocale } from "./locales.js";
+export { WHISPER_LANGUAGES, openAiTranscriptionAdapter } from "./openai-transcription-adapter.js";
+export type { OpenAiTranscriptionAdapterOptions } from "./openai-transcription-adapter.js";
+export { WEB_SPEECH_LOCALES, webSpeechAdapter } from "./web-speech-adapter.js";
+export type { WebSpeechAdapterOptions } from "./web-speech-adapter.js";
+export { webSocketStreamingAdapter } from "./websocket-streaming-adapter.js";
+export type {
+  VoiceDraftStreamingClientMessage,
+  VoiceDraftStreamingServerMessage,
+  WebSocketStreamingAdapterOptions,
+} from "./websocket-streaming-adapter.js";
+export type {
+  VoiceDraftAdapter,
+  VoiceDraftAdapterResult,
+  VoiceDraftAdapterStartContext,
+  VoiceDraftAdapterStopResult,
+  VoiceDraftAlternative,
+} from "./adapters.js";
+export type {
+  VoiceDraftAutoStopReason,
+  VoiceDraftCommandEvent,
+  VoiceDraftControllerOptions,
+  VoiceDraftEngineFallbackEvent,
+  VoiceDraftNoiseGateOptions,
+  VoiceDraftPersistenceOptions,
+  VoiceDraftRecordingOptions,
+  VoiceDraftRecoverableDraft,
+  VoiceDraftSegment,
+  VoiceDraftSilenceOptions,
+  VoiceDraftSnapshot,
+  VoiceDraftStopReason,
+} from "./types.js";
@@ -0,0 +1,101 @@
+import { registerWorkletModule } from "./worklet.js";
+
+export interface LevelMeterFrame {
+  rms: number;
+  // Sign changes per second.
+  zeroCrossingRate: number;
+}
+
+export interface LevelMeterOptions {
+  intervalMs: number;
+  onFrame: (frame: LevelMeterFrame) => void;
+}
+
+export interface LevelMeter {
+  node: AudioWorkletNode;
+  stop: () => void;
+}
+
+const PROCESSOR_NAME = "voicedraft-level";
+
+// Runs on the audio thread: accumulates energy and zero crossings of the mono mix and posts
+// one small frame per interval, so the main thread never touches raw samples.
+const PROCESSOR_SOURCE = `
+class VoiceDraftLevelProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    this.windowSize = Math.max(1, Math.round((sampleRate * options.processorOptions.intervalMs) / 1000));
+    this.sum = 0;
+    this.crossings = 0;
+    this.count = 0;
+    this.previous = 0;
+  }
+
+  process(inputs) {
+    const input = inputs[0];
+    if (!input || input.length === 0) {
+      return true;
+    }
+    const channels = input.length;
+    const length = input[0].length;
+    for (let index = 0; index < length; index += 1) {
+      let sample = 0;
+      for (let channel = 0; channel < channels; channel += 1) {
+        sample += input[channel][index];
+      }
+      sample /= channels;
+      this.sum += sample * sample;
+      if (sample !== 0) {
+        if (this.previous !== 0 && (sample > 0) !== (this.previous > 0)) {
+          this.crossings += 1;
+        }
+        this.previous = sample;
+      }
+      this.count += 1;
+      if (this.count === this.windowSize) {
+        this.port.postMessage({
+          rms: Math.sqrt(this.sum / this.count),
+          zeroCrossingRate: (this.crossings * sampleRate) / this.count,
+        });
+        this.sum = 0;
+        this.crossings = 0;
+        this.count = 0;
+      }
+    }
+    return true;
+  }
+}
+
+registerProcessor("${PROCESSOR_NAME}", VoiceDraftLevelProcessor);
+`;
+
+export function supportsLevelMeter(audioContext: BaseAudioContext): boolean {
+  return typeof AudioWorkletNode !== "undefined" && Boolean(audioContext.audioWorklet);
+}
+
+// The caller connects its source to `node`; the meter has no outputs.
+export async function startLevelMeter(audioContext: AudioContext, options: LevelMeterOptions): Promise<LevelMeter> {
+  await registerWorkletModule(audioContext, PROCESSOR_NAME, PROCESSOR_SOURCE);
+
+  const node = new AudioWorkletNode(audioContext, PROCESSOR_NAME, {
+    numberOfInputs: 1,
+    numberOfOutputs: 0,
+    channelCountMode: "explicit",
+    channelCount: 1,
+    processorOptions: { intervalMs: options.intervalMs },
+  });
+  node.port.onmessage = (event: MessageEvent<LevelMeterFrame>) => options.onFrame(event.data);
+
+  return {
+    node,
+    stop: () => {
+      node.port.onmessage = null;
+      node.port.close();
+      try {
+        node.disconnect();
+      } catch {
+        // ignore cleanup errors
+      }
+    },
+  };
+}
@@ -0,0 +1,25 @@
+// "en_us" -> "en-US". Returns null for strings that are not BCP 47 language tags.
+export function normalizeLocale(locale: string): string | null {
+  try {
+    return Intl.getCanonicalLocales(locale.trim().replace(/_/g, "-"))[0] ?? null;
+  } catch {
+    return null;
+  }
+}
+
+// "en-US" -> "en".
+export function languageOf(locale: string): string {
+  return locale.split(/[-_]/)[0].toLowerCase();
+}
+
+// The entry of `supported` that serves `locale`: an exact match, else the first entry with the
+// same language, so "de-AT" falls back to "de-DE". Null when the language is missing entirely.
+export function matchLocale(locale: string, supported: readonly string[]): string | null {
+  const wanted = locale.toLowerCase();
+  const exact = supported.find((entry) => entry.toLowerCase() === wanted);
+  if (exact) {
+    return exact;
+  }
+  const language = languageOf(locale);
+  return supported.find((entry) => languageOf(entry) === language) ?? null;
+}
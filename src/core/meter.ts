@@ -0,0 +1,96 @@
+// Read side of the waveform history. Renderers poll it or subscribe to new samples instead of
+// receiving a copied array through component state.
+export interface VoiceDraftMeter {
+  readonly capacity: number;
+  readonly length: number;
+  // Increments on every sample and on clear, so a renderer can skip frames with nothing new.
+  readonly version: number;
+  // Voice activity for the latest sample, 0–1.
+  readonly speechProbability: number;
+  // Level of the sample at `index`, oldest first.
+  at: (index: number) => number;
+  // Copies the levels oldest first into `target` (or a new array) and returns it.
+  read: (target?: Float32Array) => Float32Array;
+  subscribe: (listener: () => void) => () => void;
+}
+
+export interface MeterBuffer extends VoiceDraftMeter {
+  push: (level: number, speechProbability: number) => void;
+  clear: () => void;
+  // Keeps the newest samples that fit.
+  resize: (capacity: number) => void;
+}
+
+// Fixed-size ring of levels: pushing never allocates.
+export function createMeterBuffer(capacity: number): MeterBuffer {
+  let levels = new Float32Array(Math.max(1, capacity));
+  let start = 0;
+  let length = 0;
+  let version = 0;
+  let speechProbability = 0;
+  const listeners = new Set<() => void>();
+
+  const notify = () => {
+    version += 1;
+    listeners.forEach((listener) => listener());
+  };
+  const at = (index: number) => (index >= 0 && index < length ? levels[(start + index) % levels.length] : 0);
+  const read = (target: Float32Array = new Float32Array(length)) => {
+    const count = Math.min(length, target.length);
+    for (let index = 0; index < count; index += 1) {
+      target[index] = at(length - count + index);
+    }
+    return target;
+  };
+
+  return {
+    get capacity() {
+      return levels.length;
+    },
+    get length() {
+      return length;
+    },
+    get version() {
+      return version;
+    },
+    get speechProbability() {
+      return speechProbability;
+    },
+    at,
+    read,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => {
+        listeners.delete(listener);
+      };
+    },
+    push: (level, probability) => {
+      if (length < levels.length) {
+        levels[(start + length) % levels.length] = level;
+        length += 1;
+      } else {
+        levels[start] = level;
+        start = (start + 1) % levels.length;
+      }
+      speechProbability = probability;
+      notify();
+    },
+    clear: () => {
+      start = 0;
+      length = 0;
+      speechProbability = 0;
+      notify();
+    },
+    resize: (next) => {
+      const size = Math.max(1, next);
+      if (size === levels.length) {
+        return;
+      }
+      const kept = read(new Float32Array(Math.min(length, size)));
+      levels = new Float32Array(size);
+      levels.set(kept);
+      start = 0;
+      length = kept.length;
+    },
+  };
+}
@@ -0,0 +1,267 @@
+import type {
+  VoiceDraftAdapter,
+  VoiceDraftAdapterResult,
+  VoiceDraftAdapterStartContext,
+  VoiceDraftAdapterStopResult,
+} from "./adapters.js";
+import { VoiceDraftError } from "./errors.js";
+import { hintsToPrompt } from "./hints.js";
+import { languageOf, matchLocale } from "./locales.js";
+
+export interface OpenAiTranscriptionAdapterOptions {
+  endpoint?: string;
+  model?: string;
+  apiKey?: string;
+  // Sent ahead of the session's phrase hints and context in the `prompt` field.
+  prompt?: string;
+  // Fixes the language. Otherwise it comes from the locale, or is detected when the session has
+  // `alternateLocales` (detection is reported with responseFormat "verbose_json").
+  language?: string;
+  // Defaults to the languages Whisper documents, WHISPER_LANGUAGES.
+  supportedLocales?: readonly string[];
+  temperature?: number;
+  // "verbose_json" returns timed segments with a confidence derived from their log probability.
+  responseFormat?: "json" | "verbose_json";
+  mimeType?: string;
+  timeoutMs?: number;
+  headers?: Record<string, string> | (() => Record<string, string> | Promise<Record<string, string>>);
+  fetch?: typeof fetch;
+}
+
+const DEFAULT_ENDPOINT = "https://api.openai.com/v1/audio/transcriptions";
+const DEFAULT_MODEL = "whisper-1";
+const DEFAULT_TIMEOUT_MS = 60_000;
+
+const PREFERRED_MIME_TYPES = ["audio/webm;codecs=opus", "audio/webm", "audio/ogg;codecs=opus", "audio/mp4"];
+
+const FILE_EXTENSION_BY_MIME = new Map([
+  ["audio/webm", "webm"],
+  ["audio/ogg", "ogg"],
+  ["audio/mp4", "mp4"],
+  ["audio/mpeg", "mp3"],
+  ["audio/wav", "wav"],
+]);
+
+function pickMimeType(preferred?: string): string | undefined {
+  if (preferred) {
+    return preferred;
+  }
+  if (typeof MediaRecorder.isTypeSupported !== "function") {
+    return undefined;
+  }
+  return PREFERRED_MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+}
+
+function fileNameFor(mimeType: string): string {
+  const baseType = mimeType.split(";")[0].trim().toLowerCase();
+  return `audio.${FILE_EXTENSION_BY_MIME.get(baseType) ?? "webm"}`;
+}
+
+// ISO-639-1 codes by the language names verbose_json responses report.
+const WHISPER_LANGUAGE_CODES: Record<string, string> = {
+  afrikaans: "af", arabic: "ar", armenian: "hy", azerbaijani: "az", belarusian: "be", bosnian: "bs",
+  bulgarian: "bg", catalan: "ca", chinese: "zh", croatian: "hr", czech: "cs", danish: "da", dutch: "nl",
+  english: "en", estonian: "et", finnish: "fi", french: "fr", galician: "gl", german: "de", greek: "el",
+  hebrew: "he", hindi: "hi", hungarian: "hu", icelandic: "is", indonesian: "id", italian: "it", japanese: "ja",
+  kannada: "kn", kazakh: "kk", korean: "ko", latvian: "lv", lithuanian: "lt", macedonian: "mk", malay: "ms",
+  marathi: "mr", maori: "mi", nepali: "ne", norwegian: "no", persian: "fa", polish: "pl", portuguese: "pt",
+  romanian: "ro", russian: "ru", serbian: "sr", slovak: "sk", slovenian: "sl", spanish: "es", swahili: "sw",
+  swedish: "sv", tagalog: "tl", tamil: "ta", thai: "th", turkish: "tr", ukrainian: "uk", urdu: "ur",
+  vietnamese: "vi", welsh: "cy",
+};
+
+export const WHISPER_LANGUAGES: readonly string[] = Object.values(WHISPER_LANGUAGE_CODES);
+
+// Maps a reported language ("french" or "fr") onto the session's locales, e.g. "fr-CA".
+function detectedLocale(reported: unknown, locales: string[]): string | undefined {
+  if (typeof reported !== "string" || !reported) {
+    return undefined;
+  }
+  const code = WHISPER_LANGUAGE_CODES[reported.toLowerCase()] ?? languageOf(reported);
+  return matchLocale(code, locales) ?? code;
+}
+
+interface TranscriptionSegment {
+  text?: unknown;
+  start?: unknown;
+  end?: unknown;
+  avg_logprob?: unknown;
+}
+
+function toSegments(segments: unknown, locale: string | undefined): VoiceDraftAdapterResult[] | undefined {
+  if (!Array.isArray(segments)) {
+    return undefined;
+  }
+  return segments
+    .filter((segment: TranscriptionSegment) => typeof segment?.text === "string" && segment.text.trim())
+    .map((segment: TranscriptionSegment) => {
+      const result: VoiceDraftAdapterResult = { transcript: String(segment.text).trim(), isFinal: true };
+      if (typeof segment.start === "number" && typeof segment.end === "number") {
+        result.start = Math.round(segment.start * 1000);
+        result.end = Math.round(segment.end * 1000);
+      }
+      if (typeof segment.avg_logprob === "number") {
+        result.confidence = Math.min(1, Math.exp(segment.avg_logprob));
+      }
+      if (locale) {
+        result.locale = locale;
+      }
+      return result;
+    });
+}
+
+export function openAiTranscriptionAdapter(options: OpenAiTranscriptionAdapterOptions = {}): VoiceDraftAdapter {
+  let recording: { recorder: MediaRecorder; chunks: Blob[] } | null = null;
+  let language = options.language;
+  let locales: string[] = [];
+  let prompt = options.prompt ?? "";
+
+  const stopRecorder = (): Promise<Blob | null> => {
+    const current = recording;
+    recording = null;
+    if (!current) {
+      return Promise.resolve(null);
+    }
+
+    const { recorder, chunks } = current;
+    return new Promise((resolve) => {
+      const finish = () => {
+        const type = recorder.mimeType || chunks[0]?.type || "audio/webm";
+        resolve(chunks.length > 0 ? new Blob(chunks, { type }) : null);
+      };
+
+      if (recorder.state === "inactive") {
+        finish();
+        return;
+      }
+      recorder.addEventListener("stop", finish, { once: true });
+      recorder.stop();
+    });
+  };
+
+  const upload = async (audio: Blob): Promise<VoiceDraftAdapterStopResult> => {
+    const body = new FormData();
+    body.append("file", audio, fileNameFor(audio.type));
+    body.append("model", options.model ?? DEFAULT_MODEL);
+    if (language) {
+      body.append("language", language);
+    }
+    if (prompt) {
+      body.append("prompt", prompt);
+    }
+    if (options.temperature !== undefined) {
+      body.append("temperature", String(options.temperature));
+    }
+    if (options.responseFormat) {
+      body.append("response_format", options.responseFormat);
+    }
+
+    const headers: Record<string, string> = {};
+    if (options.apiKey) {
+      headers.Authorization = `Bearer ${options.apiKey}`;
+    }
+    const extraHeaders = typeof options.headers === "function" ? await options.headers() : options.headers;
+    Object.assign(headers, extraHeaders);
+
+    const fetchImpl = options.fetch ?? fetch;
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), options.timeoutMs ?? DEFAULT_TIMEOUT_MS);
+
+    let response: Response;
+    try {
+      response = await fetchImpl(options.endpoint ?? DEFAULT_ENDPOINT, {
+        method: "POST",
+        headers,
+        body,
+        signal: controller.signal,
+      });
+    } catch (error) {
+      const message = controller.signal.aborted ? "Transcription request timed out." : "Transcription request failed.";
+      throw new VoiceDraftError("network", message, { cause: error });
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    const responseText = await response.text();
+    let parsedBody: { text?: unknown; transcript?: unknown; segments?: unknown; language?: unknown } = {};
+    try {
+      parsedBody = responseText ? JSON.parse(responseText) : {};
+    } catch {
+      // no-op: fallback to raw response text in error branch
+    }
+
+    if (!response.ok) {
+      const code = response.status >= 500 || response.status === 429 ? "network" : "engine-error";
+      throw new VoiceDraftError(
+        code,
+        `Transcription request failed with HTTP ${response.status}: ${responseText.slice(0, 400)}`,
+        { cause: parsedBody },
+      );
+    }
+
+    const transcript = parsedBody.text ?? parsedBody.transcript;
+    if (typeof transcript !== "string") {
+      throw new VoiceDraftError("engine-error", "No transcript text returned from transcription endpoint.");
+    }
+    const locale = detectedLocale(parsedBody.language, locales);
+    const segments = toSegments(parsedBody.segments, locale);
+    const result: VoiceDraftAdapterStopResult = { transcript: transcript.trim() };
+    if (segments) {
+      result.segments = segments;
+    }
+    if (locale) {
+      result.locale = locale;
+    }
+    return result;
+  };
+
+  return {
+    name: "openai-transcription",
+    isSupported: () => typeof MediaRecorder !== "undefined",
+    supportedLocales: options.supportedLocales ?? WHISPER_LANGUAGES,
+
+    start: (context: VoiceDraftAdapterStartContext) => {
+      if (typeof MediaRecorder === "undefined") {
+        throw new VoiceDraftError("not-supported", "MediaRecorder is not available in this browser.");
+      }
+
+      void stopRecorder();
+      locales = [context.locale, ...context.alternateLocales];
+      prompt = hintsToPrompt(context.hints, options.prompt);
+      // Leaving the language out lets the model detect it.
+      language = options.language ?? (context.alternateLocales.length > 0 ? undefined : languageOf(context.locale));
+
+      const mimeType = pickMimeType(options.mimeType);
+      const recorder = new MediaRecorder(context.stream, mimeType ? { mimeType } : undefined);
+      const chunks: Blob[] = [];
+      recorder.addEventListener("dataavailable", (event) => {
+        if (event.data.size > 0) {
+          chunks.push(event.data);
+        }
+      });
+      recorder.addEventListener("error", (event) => {
+        const cause = (event as Event & { error?: unknown }).error;
+        context.onError(new VoiceDraftError("engine-error", "MediaRecorder failed while recording.", { cause }));
+      });
+
+      recording = { recorder, chunks };
+      recorder.start();
+    },
+
+    stop: async () => {
+      const audio = await stopRecorder();
+      if (!audio) {
+        return { transcript: "" };
+      }
+      return upload(audio);
+    },
+
+    cancel: () => {
+      const current = recording;
+      recording = null;
+      if (current && current.recorder.state !== "inactive") {
+        current.recorder.stop();
+      }
+    },
+  };
+}
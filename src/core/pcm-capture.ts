@@ -0,0 +1,147 @@
+import { registerWorkletModule } from "./worklet.js";
+
+export interface PcmCaptureOptions {
+  sampleRate?: number;
+  frameMs?: number;
+  onFrame: (frame: Int16Array) => void;
+}
+
+export interface PcmCapture {
+  sampleRate: number;
+  stop: () => Promise<void>;
+}
+
+interface PcmProcessorMessage {
+  type: "frame" | "flushed";
+  buffer: ArrayBuffer;
+}
+
+const DEFAULT_SAMPLE_RATE = 16_000;
+const DEFAULT_FRAME_MS = 100;
+const FLUSH_TIMEOUT_MS = 250;
+const PROCESSOR_NAME = "voicedraft-pcm";
+
+// Runs on the audio thread: mixes to mono, downsamples by averaging, converts to
+// signed 16-bit and posts fixed-size frames. A "flush" message answers with the partial frame.
+const PROCESSOR_SOURCE = `
+class VoiceDraftPcmProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const { targetSampleRate, frameSize } = options.processorOptions;
+    this.ratio = Math.max(1, sampleRate / targetSampleRate);
+    this.frame = new Int16Array(frameSize);
+    this.offset = 0;
+    this.position = 0;
+    this.sum = 0;
+    this.count = 0;
+    this.port.onmessage = (event) => {
+      if (event.data === "flush") {
+        const partial = this.frame.slice(0, this.offset);
+        this.port.postMessage({ type: "flushed", buffer: partial.buffer }, [partial.buffer]);
+        this.offset = 0;
+      }
+    };
+  }
+
+  process(inputs) {
+    const input = inputs[0];
+    if (!input || input.length === 0) {
+      return true;
+    }
+    const channels = input.length;
+    const length = input[0].length;
+    for (let index = 0; index < length; index += 1) {
+      let sample = 0;
+      for (let channel = 0; channel < channels; channel += 1) {
+        sample += input[channel][index];
+      }
+      this.sum += sample / channels;
+      this.count += 1;
+      this.position += 1;
+      if (this.position < this.ratio) {
+        continue;
+      }
+      this.position -= this.ratio;
+      const value = Math.max(-1, Math.min(1, this.sum / this.count));
+      this.sum = 0;
+      this.count = 0;
+      this.frame[this.offset] = value < 0 ? value * 0x8000 : value * 0x7fff;
+      this.offset += 1;
+      if (this.offset === this.frame.length) {
+        this.port.postMessage({ type: "frame", buffer: this.frame.buffer }, [this.frame.buffer]);
+        this.frame = new Int16Array(this.frame.length);
+        this.offset = 0;
+      }
+    }
+    return true;
+  }
+}
+
+registerProcessor("${PROCESSOR_NAME}", VoiceDraftPcmProcessor);
+`;
+
+export async function startPcmCapture(
+  audioContext: AudioContext,
+  stream: MediaStream,
+  options: PcmCaptureOptions,
+): Promise<PcmCapture> {
+  const sampleRate = Math.min(options.sampleRate ?? DEFAULT_SAMPLE_RATE, audioContext.sampleRate);
+  const frameSize = Math.max(1, Math.round((sampleRate * (options.frameMs ?? DEFAULT_FRAME_MS)) / 1000));
+
+  await registerWorkletModule(audioContext, PROCESSOR_NAME, PROCESSOR_SOURCE);
+
+  const source = audioContext.createMediaStreamSource(stream);
+  const node = new AudioWorkletNode(audioContext, PROCESSOR_NAME, {
+    numberOfInputs: 1,
+    numberOfOutputs: 0,
+    channelCountMode: "explicit",
+    channelCount: 1,
+    processorOptions: { targetSampleRate: sampleRate, frameSize },
+  });
+
+  let stopping: Promise<void> | null = null;
+  let onFlushed: (() => void) | null = null;
+
+  node.port.onmessage = (event: MessageEvent<PcmProcessorMessage>) => {
+    const { type, buffer } = event.data;
+    if (buffer.byteLength > 0) {
+      options.onFrame(new Int16Array(buffer));
+    }
+    if (type === "flushed") {
+      onFlushed?.();
+    }
+  };
+  source.connect(node);
+
+  const detach = () => {
+    node.port.onmessage = null;
+    node.port.close();
+  };
+
+  return {
+    sampleRate,
+    stop: () => {
+      if (stopping) {
+        return stopping;
+      }
+      try {
+        source.disconnect();
+      } catch {
+        // ignore cleanup errors
+      }
+      stopping = new Promise<void>((resolve) => {
+        const timeoutId = setTimeout(() => {
+          detach();
+          resolve();
+        }, FLUSH_TIMEOUT_MS);
+        onFlushed = () => {
+          clearTimeout(timeoutId);
+          detach();
+          resolve();
+        };
+        node.port.postMessage("flush");
+      });
+      return stopping;
+    },
+  };
+}
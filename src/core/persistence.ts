@@ -0,0 +1,111 @@
+import type { VoiceDraftSegment } from "./types.js";
+
+export interface VoiceDraftCheckpoint {
+  id: string;
+  text: string;
+  // Finalized segments only.
+  segments: VoiceDraftSegment[];
+  locale: string;
+  updatedAt: number;
+  audio?: Blob;
+}
+
+export interface VoiceDraftStorage {
+  load: (id: string) => Promise<VoiceDraftCheckpoint | null> | VoiceDraftCheckpoint | null;
+  save: (checkpoint: VoiceDraftCheckpoint) => Promise<void> | void;
+  remove: (id: string) => Promise<void> | void;
+}
+
+export interface LocalStorageDraftStorageOptions {
+  prefix?: string;
+  storage?: Pick<Storage, "getItem" | "setItem" | "removeItem">;
+}
+
+export interface IndexedDbDraftStorageOptions {
+  databaseName?: string;
+  storeName?: string;
+  indexedDB?: IDBFactory;
+}
+
+const DEFAULT_PREFIX = "voicedraft:";
+const DEFAULT_DATABASE_NAME = "voicedraft";
+const DEFAULT_STORE_NAME = "drafts";
+
+function isCheckpoint(value: unknown): value is VoiceDraftCheckpoint {
+  const checkpoint = value as Partial<VoiceDraftCheckpoint> | null;
+  return typeof checkpoint?.id === "string" && typeof checkpoint.text === "string" && Array.isArray(checkpoint.segments);
+}
+
+// Stores text and segments as JSON. Audio does not fit in localStorage and is dropped.
+export function localStorageDraftStorage(options: LocalStorageDraftStorageOptions = {}): VoiceDraftStorage {
+  const prefix = options.prefix ?? DEFAULT_PREFIX;
+  const getStorage = () => options.storage ?? (typeof localStorage === "undefined" ? null : localStorage);
+
+  return {
+    load: (id) => {
+      const raw = getStorage()?.getItem(prefix + id);
+      if (!raw) {
+        return null;
+      }
+      try {
+        const parsed: unknown = JSON.parse(raw);
+        return isCheckpoint(parsed) ? parsed : null;
+      } catch {
+        return null;
+      }
+    },
+    save: ({ audio: _audio, ...checkpoint }) => {
+      getStorage()?.setItem(prefix + checkpoint.id, JSON.stringify(checkpoint));
+    },
+    remove: (id) => {
+      getStorage()?.removeItem(prefix + id);
+    },
+  };
+}
+
+function requestToPromise<T>(request: IDBRequest<T>): Promise<T> {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Stores checkpoints including recorded audio.
+export function indexedDbDraftStorage(options: IndexedDbDraftStorageOptions = {}): VoiceDraftStorage {
+  const databaseName = options.databaseName ?? DEFAULT_DATABASE_NAME;
+  const storeName = options.storeName ?? DEFAULT_STORE_NAME;
+  let database: Promise<IDBDatabase> | null = null;
+
+  const open = () => {
+    if (!database) {
+      const factory = options.indexedDB ?? (typeof indexedDB === "undefined" ? null : indexedDB);
+      if (!factory) {
+        return Promise.reject(new Error("IndexedDB is not available."));
+      }
+      const request = factory.open(databaseName, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(storeName, { keyPath: "id" });
+      };
+      database = requestToPromise(request);
+    }
+    return database;
+  };
+
+  const withStore = async <T>(mode: IDBTransactionMode, run: (store: IDBObjectStore) => IDBRequest<T>) => {
+    const db = await open();
+    return requestToPromise(run(db.transaction(storeName, mode).objectStore(storeName)));
+  };
+
+  return {
+    load: async (id) => {
+      const value: unknown = await withStore("readonly", (store) => store.get(id));
+      return isCheckpoint(value) ? value : null;
+    },
+    save: async (checkpoint) => {
+      await withStore("readwrite", (store) => store.put(checkpoint));
+    },
+    remove: async (id) => {
+      await withStore("readwrite", (store) => store.delete(id));
+    },
+  };
+}
@@ -0,0 +1,78 @@
+export interface PcmRingBuffer {
+  readonly length: number;
+  push: (frame: Int16Array) => void;
+  read: () => Int16Array;
+  clear: () => void;
+}
+
+// Keeps the most recent `capacity` samples; older audio is dropped as new frames arrive.
+export function createPcmRingBuffer(capacity: number): PcmRingBuffer {
+  let frames: Int16Array[] = [];
+  let length = 0;
+
+  return {
+    get length() {
+      return length;
+    },
+    push: (frame) => {
+      if (capacity <= 0 || frame.length === 0) {
+        return;
+      }
+      frames.push(frame.length > capacity ? frame.subarray(frame.length - capacity) : frame);
+      length += frames[frames.length - 1].length;
+      while (length > capacity) {
+        const excess = length - capacity;
+        const [oldest] = frames;
+        if (oldest.length <= excess) {
+          frames.shift();
+          length -= oldest.length;
+        } else {
+          frames[0] = oldest.subarray(excess);
+          length -= excess;
+        }
+      }
+    },
+    read: () => {
+      const samples = new Int16Array(length);
+      let offset = 0;
+      for (const frame of frames) {
+        samples.set(frame, offset);
+        offset += frame.length;
+      }
+      return samples;
+    },
+    clear: () => {
+      frames = [];
+      length = 0;
+    },
+  };
+}
+
+// 16-bit mono PCM in a RIFF/WAVE container.
+export function encodeWav(samples: Int16Array, sampleRate: number): Blob {
+  const header = new DataView(new ArrayBuffer(44));
+  const writeString = (offset: number, value: string) => {
+    for (let index = 0; index < value.length; index += 1) {
+      header.setUint8(offset + index, value.charCodeAt(index));
+    }
+  };
+  const dataSize = samples.length * 2;
+
+  writeString(0, "RIFF");
+  header.setUint32(4, 36 + dataSize, true);
+  writeString(8, "WAVE");
+  writeString(12, "fmt ");
+  header.setUint32(16, 16, true);
+  header.setUint16(20, 1, true);
+  header.setUint16(22, 1, true);
+  header.setUint32(24, sampleRate, true);
+  header.setUint32(28, sampleRate * 2, true);
+  header.setUint16(32, 2, true);
+  header.setUint16(34, 16, true);
+  writeString(36, "data");
+  header.setUint32(40, dataSize, true);
+
+  const data = new DataView(new ArrayBuffer(dataSize));
+  samples.forEach((sample, index) => data.setInt16(index * 2, sample, true));
+  return new Blob([header.buffer, data.buffer], { type: "audio/wav" });
+}
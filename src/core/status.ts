@@ -0,0 +1,23 @@
+export type VoiceDraftStatus =
+  | "idle"
+  | "requesting-permission"
+  | "listening"
+  | "paused"
+  | "finalizing"
+  | "review"
+  | "error";
+
+// Every status change goes through this table; anything not listed is rejected.
+const TRANSITIONS: Record<VoiceDraftStatus, readonly VoiceDraftStatus[]> = {
+  idle: ["requesting-permission", "review", "error"],
+  "requesting-permission": ["listening", "idle", "error"],
+  listening: ["paused", "finalizing", "idle", "error"],
+  paused: ["listening", "finalizing", "idle", "error"],
+  finalizing: ["review", "idle", "error"],
+  review: ["requesting-permission", "idle", "error"],
+  error: ["requesting-permission", "idle"],
+};
+
+export function canTransition(from: VoiceDraftStatus, to: VoiceDraftStatus): boolean {
+  return TRANSITIONS[from].includes(to);
+}
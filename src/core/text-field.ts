@@ -0,0 +1,122 @@
+export type VoiceDraftTextControl = HTMLInputElement | HTMLTextAreaElement;
+
+const SENTENCE_END = /(^|[.!?…]\s*|\n\s*)$/;
+const NO_SPACE_AFTER = /[\s([{“‘¿¡]$/;
+const NO_SPACE_BEFORE = /^[\s.,;:!?…)\]}”’]/;
+
+// Adjusts dictated text so it reads naturally between `before` and `after`.
+export function joinAtCaret(before: string, text: string, after: string): string {
+  let result = text.trim();
+  if (!result) {
+    return "";
+  }
+  if (SENTENCE_END.test(before)) {
+    result = result.charAt(0).toUpperCase() + result.slice(1);
+  }
+  if (before && !NO_SPACE_AFTER.test(before) && !NO_SPACE_BEFORE.test(result)) {
+    result = ` ${result}`;
+  }
+  if (after && !NO_SPACE_BEFORE.test(after)) {
+    result = `${result} `;
+  }
+  return result;
+}
+
+export function isTextControl(element: Element): element is VoiceDraftTextControl {
+  const control = element as Partial<VoiceDraftTextControl>;
+  return typeof control.value === "string" && typeof control.setRangeText === "function";
+}
+
+// Text controls keep their selection after losing focus; contenteditable hosts do not, so the
+// caller saves the range while the caret is still inside the element.
+export function captureFieldRange(element: HTMLElement): Range | null {
+  const selection = element.ownerDocument.getSelection?.();
+  if (!selection || selection.rangeCount === 0) {
+    return null;
+  }
+  const range = selection.getRangeAt(0);
+  return element.contains(range.commonAncestorContainer) ? range.cloneRange() : null;
+}
+
+export function insertIntoField(element: HTMLElement, text: string, range?: Range | null): boolean {
+  if (isTextControl(element)) {
+    return insertIntoTextControl(element, text);
+  }
+  if (element.isContentEditable) {
+    return insertIntoEditable(element, text, range ?? null);
+  }
+  return false;
+}
+
+function insertIntoTextControl(element: VoiceDraftTextControl, text: string): boolean {
+  const { value, selectionStart, selectionEnd } = element;
+  if (selectionStart === null || selectionEnd === null) {
+    return false;
+  }
+  const insertion = joinAtCaret(value.slice(0, selectionStart), text, value.slice(selectionEnd));
+  if (!insertion) {
+    return false;
+  }
+  element.focus();
+  element.setSelectionRange(selectionStart, selectionEnd);
+  if (!execInsertText(element.ownerDocument, insertion)) {
+    element.setRangeText(insertion, selectionStart, selectionEnd, "end");
+    element.dispatchEvent(new Event("input", { bubbles: true }));
+  }
+  return true;
+}
+
+function insertIntoEditable(element: HTMLElement, text: string, saved: Range | null): boolean {
+  const document = element.ownerDocument;
+  let range: Range;
+  if (saved && element.contains(saved.commonAncestorContainer)) {
+    range = saved.cloneRange();
+  } else {
+    range = document.createRange();
+    range.selectNodeContents(element);
+    range.collapse(false);
+  }
+  const insertion = joinAtCaret(textBefore(element, range), text, textAfter(element, range));
+  if (!insertion) {
+    return false;
+  }
+  element.focus();
+  const selection = document.getSelection();
+  selection?.removeAllRanges();
+  selection?.addRange(range);
+  if (!execInsertText(document, insertion)) {
+    range.deleteContents();
+    const node = document.createTextNode(insertion);
+    range.insertNode(node);
+    range.setStartAfter(node);
+    range.collapse(true);
+    selection?.removeAllRanges();
+    selection?.addRange(range);
+    element.dispatchEvent(new Event("input", { bubbles: true }));
+  }
+  return true;
+}
+
+function textBefore(element: HTMLElement, range: Range): string {
+  const before = range.cloneRange();
+  before.selectNodeContents(element);
+  before.setEnd(range.startContainer, range.startOffset);
+  return before.toString();
+}
+
+function textAfter(element: HTMLElement, range: Range): string {
+  const after = range.cloneRange();
+  after.selectNodeContents(element);
+  after.setStart(range.endContainer, range.endOffset);
+  return after.toString();
+}
+
+// `insertText` goes through the browser's editing pipeline, so the insertion lands on the
+// native undo stack and frameworks see a regular input event.
+function execInsertText(document: Document, text: string): boolean {
+  try {
+    return typeof document.execCommand === "function" && document.execCommand("insertText", false, text);
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,15 @@
+const ATTACHES_LEFT = /^[.,;:!?…%)\]}\n]/;
+const ATTACHES_RIGHT = /[(\[{\n]$/;
+
+// Joins transcript pieces with single spaces, except around punctuation and line breaks.
+export function joinTranscript(...parts: string[]): string {
+  let text = "";
+  for (const part of parts) {
+    const piece = part.replace(/^[^\S\n]+|[^\S\n]+$/g, "");
+    if (!piece) {
+      continue;
+    }
+    text = !text || ATTACHES_LEFT.test(piece) || ATTACHES_RIGHT.test(text) ? text + piece : `${text} ${piece}`;
+  }
+  return text;
+}
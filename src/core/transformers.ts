@@ -0,0 +1,160 @@
+export interface VoiceDraftTransformContext {
+  locale: string;
+  // Finalized text that precedes the segment in the draft.
+  before: string;
+}
+
+// Receives one finalized segment and returns its replacement. Transformers must be pure.
+export type VoiceDraftTransformer = (text: string, context: VoiceDraftTransformContext) => string;
+
+export interface ReplacementTransformerOptions {
+  caseSensitive?: boolean;
+  // Also match misrecognitions within a small edit distance of each spoken word.
+  fuzzy?: boolean;
+}
+
+export interface FillerWordsTransformerOptions {
+  words?: string[];
+}
+
+export interface ProfanityTransformerOptions {
+  words?: string[];
+  mask?: (word: string) => string;
+}
+
+const WORD = /[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu;
+
+const DEFAULT_FILLER_WORDS = ["um", "umm", "uh", "uhm", "uhh", "er", "erm", "ah", "hmm", "mm"];
+
+const DEFAULT_PROFANITY = [
+  "asshole",
+  "bastard",
+  "bitch",
+  "bullshit",
+  "cunt",
+  "dickhead",
+  "fuck",
+  "fucked",
+  "fucker",
+  "fucking",
+  "motherfucker",
+  "shit",
+  "shitty",
+];
+
+interface WordMatch {
+  word: string;
+  start: number;
+  end: number;
+}
+
+function findWords(text: string): WordMatch[] {
+  return Array.from(text.matchAll(WORD), (match) => ({
+    word: match[0],
+    start: match.index ?? 0,
+    end: (match.index ?? 0) + match[0].length,
+  }));
+}
+
+function editDistance(a: string, b: string): number {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Short words must match exactly; longer ones tolerate one edit per four letters.
+function maxEdits(word: string): number {
+  return Math.floor((word.length - 1) / 4);
+}
+
+function cleanJoin(text: string): string {
+  return text.replace(/[^\S\n]{2,}/g, " ").replace(/[^\S\n]+([.,;:!?…])/g, "$1").replace(/^[^\S\n]+|[^\S\n]+$/g, "");
+}
+
+export function replacementTransformer(
+  dictionary: Record<string, string>,
+  { caseSensitive = false, fuzzy = false }: ReplacementTransformerOptions = {},
+): VoiceDraftTransformer {
+  const normalize = (word: string) => (caseSensitive ? word : word.toLowerCase());
+  const entries = Object.entries(dictionary)
+    .map(([spoken, replacement]) => ({
+      words: findWords(spoken).map((match) => normalize(match.word)),
+      replacement,
+    }))
+    .filter((entry) => entry.words.length > 0)
+    .sort((a, b) => b.words.length - a.words.length);
+
+  const wordMatches = (spoken: string, heard: string) =>
+    spoken === heard || (fuzzy && editDistance(spoken, heard) <= maxEdits(spoken));
+
+  return (text) => {
+    const words = findWords(text);
+    let result = "";
+    let cursor = 0;
+    for (let index = 0; index < words.length; ) {
+      const entry = entries.find(({ words: spoken }) =>
+        spoken.every((word, offset) => {
+          const heard = words[index + offset];
+          if (!heard || !wordMatches(word, normalize(heard.word))) {
+            return false;
+          }
+          // Phrases never span punctuation.
+          return offset === 0 || /^\s+$/.test(text.slice(words[index + offset - 1].end, heard.start));
+        }),
+      );
+      if (!entry) {
+        index += 1;
+        continue;
+      }
+      const last = words[index + entry.words.length - 1];
+      result += text.slice(cursor, words[index].start) + entry.replacement;
+      cursor = last.end;
+      index += entry.words.length;
+    }
+    return result + text.slice(cursor);
+  };
+}
+
+export function fillerWordsTransformer({
+  words = DEFAULT_FILLER_WORDS,
+}: FillerWordsTransformerOptions = {}): VoiceDraftTransformer {
+  const fillers = new Set(words.map((word) => word.toLowerCase()));
+  return (text) =>
+    cleanJoin(
+      text.replace(/[\p{L}\p{N}][\p{L}\p{N}'’-]*,?/gu, (match) =>
+        fillers.has(match.replace(/,$/, "").toLowerCase()) ? "" : match,
+      ),
+    );
+}
+
+export function autoCapitalizeTransformer(): VoiceDraftTransformer {
+  const upper = (_: string, gap: string, letter: string) => gap + letter.toUpperCase();
+  return (text, { before }) => {
+    const capitalized = text.replace(/([.!?…]\s+|\n\s*)(\p{Ll})/gu, upper);
+    const startsSentence = !before.trim() || /([.!?…]|\n)\s*$/.test(before);
+    return startsSentence ? capitalized.replace(/^(\s*)(\p{Ll})/u, upper) : capitalized;
+  };
+}
+
+export function profanityTransformer({
+  words = DEFAULT_PROFANITY,
+  mask = (word) => word[0] + "*".repeat(word.length - 1),
+}: ProfanityTransformerOptions = {}): VoiceDraftTransformer {
+  const blocked = new Set(words.map((word) => word.toLowerCase()));
+  return (text) => text.replace(WORD, (word) => (blocked.has(word.toLowerCase()) ? mask(word) : word));
+}
+
+export function applyTransformers(
+  text: string,
+  transformers: VoiceDraftTransformer[],
+  context: VoiceDraftTransformContext,
+): string {
+  return transformers.reduce((current, transform) => transform(current, context), text);
+}
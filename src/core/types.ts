@@ -0,0 +1,140 @@
+import type { VoiceDraftAdapter, VoiceDraftAlternative } from "./adapters.js";
+import type { VoiceDraftGrammar } from "./commands.js";
+import type { VoiceDraftCapabilities } from "./capabilities.js";
+import type { VoiceDraftAudioConstraints } from "./devices.js";
+import type { VoiceDraftError } from "./errors.js";
+import type { VoiceDraftRecognitionHints } from "./hints.js";
+import type { VoiceDraftStorage } from "./persistence.js";
+import type { VoiceDraftStatus } from "./status.js";
+import type { VoiceDraftTransformer } from "./transformers.js";
+
+export interface VoiceDraftNoiseGateOptions {
+  // "adaptive" calibrates to the room and detects speech; "fixed" compares level against the thresholds below.
+  // Defaults to "fixed" when `activationThreshold` or `silence.minLevel` is set, else "adaptive".
+  mode?: "adaptive" | "fixed";
+  // Adaptive mode: how long to measure ambient noise before detecting speech.
+  calibrationMs?: number;
+  // Adaptive mode: speech probability that counts as speech.
+  speechThreshold?: number;
+  activationThreshold?: number;
+  minActiveLevel?: number;
+  gain?: number;
+  curveExponent?: number;
+}
+
+export interface VoiceDraftSilenceOptions {
+  enabled?: boolean;
+  autoStopMs?: number;
+  minSpeechMs?: number;
+  minLevel?: number;
+}
+
+export type VoiceDraftAutoStopReason = "silence" | "max-duration";
+
+export type VoiceDraftStopReason = "manual" | VoiceDraftAutoStopReason;
+
+export interface VoiceDraftEngineFallbackEvent {
+  from: string;
+  to: string;
+  error: VoiceDraftError;
+}
+
+export interface VoiceDraftCommandEvent {
+  phrase: string;
+  draftText: string;
+  stop: () => Promise<string>;
+  cancel: () => boolean;
+}
+
+export interface VoiceDraftPersistenceOptions {
+  storage: VoiceDraftStorage;
+  draftId: string;
+  // Also checkpoint the recorded audio; needs MediaRecorder and a storage that keeps Blobs.
+  audio?: boolean;
+  audioIntervalMs?: number;
+}
+
+export interface VoiceDraftRecordingOptions {
+  // Most recent audio to keep; older audio is dropped. Defaults to 5 minutes (about 9.6 MB).
+  maxDurationMs?: number;
+}
+
+export interface VoiceDraftControllerOptions {
+  adapter?: VoiceDraftAdapter;
+  adapters?: VoiceDraftAdapter[];
+  maxEngineErrors?: number;
+  deviceId?: string | null;
+  audioConstraints?: VoiceDraftAudioConstraints;
+  locale?: string;
+  // Other languages the speaker may switch to, for engines that detect the spoken language.
+  alternateLocales?: string[];
+  // Read each time an engine starts, so a function can return the field's current text as `context`.
+  hints?: VoiceDraftRecognitionHints | (() => VoiceDraftRecognitionHints);
+  sampleIntervalMs?: number;
+  maxHistory?: number;
+  finalizeDelayMs?: number;
+  noiseGate?: VoiceDraftNoiseGateOptions;
+  silence?: VoiceDraftSilenceOptions;
+  grammar?: VoiceDraftGrammar | ((locale: string) => VoiceDraftGrammar | null) | false;
+  commands?: Record<string, (event: VoiceDraftCommandEvent) => void>;
+  transformers?: VoiceDraftTransformer[];
+  persistence?: VoiceDraftPersistenceOptions;
+  recording?: boolean | VoiceDraftRecordingOptions;
+  // Finalizes the session after this much listening time; paused time does not count.
+  maxDurationMs?: number;
+  // How long before `maxDurationMs` to warn. Defaults to 10 seconds.
+  limitWarningMs?: number;
+  onLimitApproaching?: (remainingMs: number) => void;
+  onAutoStop?: (text: string, reason: VoiceDraftAutoStopReason) => void;
+  onError?: (error: VoiceDraftError) => void;
+  onEngineFallback?: (event: VoiceDraftEngineFallbackEvent) => void;
+}
+
+export interface VoiceDraftSegment {
+  text: string;
+  isFinal: boolean;
+  confidence: number | null;
+  alternatives: VoiceDraftAlternative[];
+  // Milliseconds since the microphone opened.
+  start: number;
+  end: number;
+  // `null` for text edited with `setDraftText()`.
+  engine: string | null;
+  // The language the segment was recognized in: the detected one, else the session locale.
+  // `null` for edited text.
+  locale: string | null;
+}
+
+export interface VoiceDraftRecoverableDraft {
+  text: string;
+  segments: VoiceDraftSegment[];
+  updatedAt: number;
+  audio: Blob | null;
+  // Puts the saved draft back into review. Returns false while a session is running.
+  restore: () => boolean;
+  discard: () => Promise<void>;
+}
+
+export interface VoiceDraftSnapshot {
+  canTranscribe: boolean;
+  capabilities: VoiceDraftCapabilities;
+  status: VoiceDraftStatus;
+  listening: boolean;
+  // Listening time in seconds, excluding pauses.
+  elapsed: number;
+  // Whole seconds left before `maxDurationMs`, or null without a limit.
+  remaining: number | null;
+  // True from `limitWarningMs` before the limit until the session ends.
+  limitApproaching: boolean;
+  draftText: string;
+  segments: VoiceDraftSegment[];
+  engine: string | null;
+  locale: string;
+  // Why the last session was finalized; null until then and after a new start.
+  stopReason: VoiceDraftStopReason | null;
+  lastError: VoiceDraftError | null;
+  deviceId: string | null;
+  recoverableDraft: VoiceDraftRecoverableDraft | null;
+  // 16 kHz mono WAV of the last finished session, with the `recording` option.
+  recording: Blob | null;
+}
@@ -0,0 +1,170 @@
+export interface VoiceActivityFeatures {
+  rms: number;
+  // Sign changes per second.
+  zeroCrossingRate: number;
+  // Share of spectral power in the 300–3400 Hz speech band, or null without frequency data.
+  speechBandRatio: number | null;
+  // Geometric over arithmetic mean of the power spectrum: near 1 for broadband noise.
+  spectralFlatness: number | null;
+}
+
+export interface VoiceActivityFrame {
+  probability: number;
+  isSpeech: boolean;
+  noiseFloor: number;
+}
+
+export interface VoiceActivityDetectorOptions {
+  calibrationMs?: number;
+  speechThreshold?: number;
+}
+
+export interface VoiceActivityDetector {
+  process: (features: VoiceActivityFeatures, timeMs: number) => VoiceActivityFrame;
+  reset: () => void;
+}
+
+export interface FrequencyDataRange {
+  sampleRate: number;
+  minDecibels: number;
+  maxDecibels: number;
+}
+
+const DEFAULT_CALIBRATION_MS = 300;
+const DEFAULT_SPEECH_THRESHOLD = 0.5;
+const MIN_NOISE_FLOOR = 0.002;
+const SPEECH_BAND_HZ = [300, 3400] as const;
+// Voiced speech crosses zero far less often than hiss and far more often than hum.
+const SPEECH_ZCR_HZ = [60, 3500] as const;
+
+function clamp01(value: number): number {
+  return Math.min(1, Math.max(0, value));
+}
+
+function sigmoid(value: number): number {
+  return 1 / (1 + Math.exp(-value));
+}
+
+// `timeDomain` and `frequency` come from an AnalyserNode's byte getters.
+export function analyzeFrame(
+  timeDomain: Uint8Array,
+  frequency: Uint8Array | null,
+  range: FrequencyDataRange,
+): VoiceActivityFeatures {
+  let sum = 0;
+  let crossings = 0;
+  let previous = 0;
+  for (let index = 0; index < timeDomain.length; index += 1) {
+    const value = (timeDomain[index] - 128) / 128;
+    sum += value * value;
+    if (value !== 0) {
+      if (previous !== 0 && Math.sign(value) !== Math.sign(previous)) {
+        crossings += 1;
+      }
+      previous = value;
+    }
+  }
+  const rms = timeDomain.length > 0 ? Math.sqrt(sum / timeDomain.length) : 0;
+  const zeroCrossingRate = timeDomain.length > 0 ? (crossings * range.sampleRate) / timeDomain.length : 0;
+
+  return { rms, zeroCrossingRate, ...analyzeSpectrum(frequency, range) };
+}
+
+// `frequency` comes from AnalyserNode.getByteFrequencyData.
+export function analyzeSpectrum(
+  frequency: Uint8Array | null,
+  range: FrequencyDataRange,
+): Pick<VoiceActivityFeatures, "speechBandRatio" | "spectralFlatness"> {
+  if (!frequency || frequency.length === 0) {
+    return { speechBandRatio: null, spectralFlatness: null };
+  }
+
+  const binHz = range.sampleRate / 2 / frequency.length;
+  let total = 0;
+  let band = 0;
+  let logSum = 0;
+  for (let index = 0; index < frequency.length; index += 1) {
+    const decibels = range.minDecibels + (frequency[index] / 255) * (range.maxDecibels - range.minDecibels);
+    const power = Math.pow(10, decibels / 10);
+    const hz = index * binHz;
+    total += power;
+    logSum += Math.log(power);
+    if (hz >= SPEECH_BAND_HZ[0] && hz <= SPEECH_BAND_HZ[1]) {
+      band += power;
+    }
+  }
+  const mean = total / frequency.length;
+  return {
+    speechBandRatio: total > 0 ? band / total : 0,
+    spectralFlatness: mean > 0 ? Math.exp(logSum / frequency.length) / mean : 1,
+  };
+}
+
+// Scores each frame from its energy above a tracked noise floor, weighted by how speech-like
+// its spectrum and zero-crossing rate are. The floor is measured during the first
+// `calibrationMs` and then follows the ambient level whenever nobody is speaking.
+export function createVoiceActivityDetector(options: VoiceActivityDetectorOptions = {}): VoiceActivityDetector {
+  const calibrationMs = options.calibrationMs ?? DEFAULT_CALIBRATION_MS;
+  const threshold = options.speechThreshold ?? DEFAULT_SPEECH_THRESHOLD;
+
+  let calibration: number[] = [];
+  let calibrationStart: number | null = null;
+  let noiseFloor: number | null = null;
+  let speaking = false;
+
+  const finishCalibration = () => {
+    // The quietest half of the window, in case speech started right away.
+    const sorted = [...calibration].sort((a, b) => a - b);
+    const quiet = sorted.slice(0, Math.max(1, Math.ceil(sorted.length / 2)));
+    noiseFloor = Math.max(MIN_NOISE_FLOOR, quiet.reduce((sum, value) => sum + value, 0) / quiet.length);
+    calibration = [];
+  };
+
+  return {
+    process: (features, timeMs) => {
+      calibrationStart ??= timeMs;
+      if (noiseFloor === null) {
+        calibration.push(features.rms);
+        if (timeMs - calibrationStart < calibrationMs) {
+          return { probability: 0, isSpeech: false, noiseFloor: Math.max(MIN_NOISE_FLOOR, features.rms) };
+        }
+        finishCalibration();
+      }
+      const floor = noiseFloor ?? MIN_NOISE_FLOOR;
+
+      const snrDb = 20 * Math.log10(Math.max(features.rms, 1e-6) / floor);
+      const energy = sigmoid((snrDb - 9) / 2.5);
+      const scores = [
+        features.zeroCrossingRate >= SPEECH_ZCR_HZ[0] && features.zeroCrossingRate <= SPEECH_ZCR_HZ[1] ? 1 : 0.2,
+      ];
+      if (features.speechBandRatio !== null) {
+        scores.push(clamp01((features.speechBandRatio - 0.2) / 0.4));
+      }
+      if (features.spectralFlatness !== null) {
+        scores.push(clamp01((0.6 - features.spectralFlatness) / 0.4));
+      }
+      const shape = scores.reduce((sum, value) => sum + value, 0) / scores.length;
+      const probability = clamp01(energy * (0.4 + 0.6 * shape));
+
+      // Hysteresis keeps short dips inside a word from ending the speech run.
+      speaking = speaking ? probability >= threshold * 0.6 : probability >= threshold;
+
+      if (!speaking) {
+        // Follow falling noise quickly and rising noise slowly.
+        const rate = features.rms < floor ? 0.2 : 0.02;
+        noiseFloor = Math.max(MIN_NOISE_FLOOR, floor + (features.rms - floor) * rate);
+      } else {
+        // Creep up during long runs so a sudden steady noise (a fan) cannot hold the gate open.
+        noiseFloor = floor * 1.002;
+      }
+
+      return { probability, isSpeech: speaking, noiseFloor: noiseFloor ?? floor };
+    },
+    reset: () => {
+      calibration = [];
+      calibrationStart = null;
+      noiseFloor = null;
+      speaking = false;
+    },
+  };
+}
@@ -0,0 +1,246 @@
+import type { VoiceDraftAdapter, VoiceDraftAdapterResult, VoiceDraftAdapterStartContext } from "./adapters.js";
+import { VoiceDraftError, fromSpeechRecognitionError } from "./errors.js";
+import type { VoiceDraftAdapterHints } from "./hints.js";
+
+interface SpeechRecognitionAlternativeLike {
+  transcript: string;
+  confidence?: number;
+}
+
+interface SpeechRecognitionResultLike {
+  [index: number]: SpeechRecognitionAlternativeLike;
+  length?: number;
+  isFinal: boolean;
+}
+
+interface SpeechRecognitionResultListLike {
+  [index: number]: SpeechRecognitionResultLike;
+  length: number;
+}
+
+interface SpeechRecognitionEventLike {
+  resultIndex: number;
+  results: SpeechRecognitionResultListLike;
+}
+
+interface SpeechRecognitionErrorEventLike {
+  error?: string;
+  message?: string;
+}
+
+interface SpeechGrammarListLike {
+  addFromString: (grammar: string, weight?: number) => void;
+}
+
+interface SpeechRecognitionLike {
+  grammars?: SpeechGrammarListLike;
+  continuous: boolean;
+  interimResults: boolean;
+  maxAlternatives?: number;
+  lang: string;
+  onend: (() => void) | null;
+  onerror: ((event: SpeechRecognitionErrorEventLike) => void) | null;
+  onresult: ((event: SpeechRecognitionEventLike) => void) | null;
+  start: () => void;
+  stop: () => void;
+  abort: () => void;
+}
+
+type SpeechRecognitionConstructor = new () => SpeechRecognitionLike;
+type SpeechGrammarListConstructor = new () => SpeechGrammarListLike;
+
+declare global {
+  interface Window {
+    webkitSpeechGrammarList?: SpeechGrammarListConstructor;
+    SpeechGrammarList?: SpeechGrammarListConstructor;
+    webkitSpeechRecognition?: SpeechRecognitionConstructor;
+    SpeechRecognition?: SpeechRecognitionConstructor;
+  }
+}
+
+export interface WebSpeechAdapterOptions {
+  finalizeDelayMs?: number;
+  maxAlternatives?: number;
+  // Defaults to WEB_SPEECH_LOCALES.
+  supportedLocales?: readonly string[];
+}
+
+// The languages Chrome's server-side recognizer accepts. Other browsers support a subset.
+export const WEB_SPEECH_LOCALES: readonly string[] = [
+  "af-ZA", "am-ET", "ar-AE", "ar-BH", "ar-DZ", "ar-EG", "ar-IL", "ar-IQ", "ar-JO", "ar-KW", "ar-LB", "ar-MA",
+  "ar-OM", "ar-PS", "ar-QA", "ar-SA", "ar-TN", "az-AZ", "bg-BG", "bn-BD", "bn-IN", "ca-ES", "cs-CZ", "da-DK",
+  "de-DE", "el-GR", "en-AU", "en-CA", "en-GB", "en-GH", "en-IN", "en-KE", "en-NG", "en-NZ", "en-PH", "en-TZ",
+  "en-US", "en-ZA", "es-AR", "es-BO", "es-CL", "es-CO", "es-CR", "es-DO", "es-EC", "es-ES", "es-GT", "es-HN",
+  "es-MX", "es-NI", "es-PA", "es-PE", "es-PR", "es-PY", "es-SV", "es-US", "es-UY", "es-VE", "eu-ES", "fa-IR",
+  "fi-FI", "fil-PH", "fr-FR", "gl-ES", "gu-IN", "he-IL", "hi-IN", "hr-HR", "hu-HU", "hy-AM", "id-ID", "is-IS",
+  "it-CH", "it-IT", "ja-JP", "jv-ID", "ka-GE", "km-KH", "kn-IN", "ko-KR", "lo-LA", "lt-LT", "lv-LV", "ml-IN",
+  "mr-IN", "ms-MY", "nb-NO", "ne-NP", "nl-NL", "pl-PL", "pt-BR", "pt-PT", "ro-RO", "ru-RU", "si-LK", "sk-SK",
+  "sl-SI", "sr-RS", "su-ID", "sv-SE", "sw-KE", "sw-TZ", "ta-IN", "ta-LK", "ta-MY", "ta-SG", "te-IN", "th-TH",
+  "tr-TR", "uk-UA", "ur-IN", "ur-PK", "vi-VN", "yue-HK", "zh-CN", "zh-HK", "zh-TW", "zu-ZA",
+];
+
+const DEFAULT_FINALIZE_DELAY_MS = 400;
+const DEFAULT_MAX_ALTERNATIVES = 3;
+
+const NON_BLOCKING_ERRORS = new Set(["aborted", "no-speech"]);
+
+// Chrome reports a confidence of 0 for results it did not score.
+function toConfidence(alternative: SpeechRecognitionAlternativeLike): number | undefined {
+  return alternative.confidence ? alternative.confidence : undefined;
+}
+
+function toFinalResult(result: SpeechRecognitionResultLike): VoiceDraftAdapterResult {
+  const [best, ...others] = Array.from({ length: result.length ?? 1 }, (_, index) => result[index]);
+  const final: VoiceDraftAdapterResult = {
+    transcript: best.transcript.trim(),
+    isFinal: true,
+    alternatives: others.map((alternative) => ({
+      transcript: alternative.transcript.trim(),
+      confidence: toConfidence(alternative) ?? null,
+    })),
+  };
+  const confidence = toConfidence(best);
+  if (confidence !== undefined) {
+    final.confidence = confidence;
+  }
+  return final;
+}
+
+function getRecognitionConstructor(): SpeechRecognitionConstructor | null {
+  if (typeof window === "undefined") {
+    return null;
+  }
+  return window.SpeechRecognition ?? window.webkitSpeechRecognition ?? null;
+}
+
+// JSGF reserves these characters; phrases are plain words.
+const JSGF_RESERVED = /[;|<>*+()[\]{}=\/\\"#]/g;
+
+// One grammar per boost level, weighted 0.1–1. Browsers without SpeechGrammarList get none.
+function toGrammarList(hints: VoiceDraftAdapterHints): SpeechGrammarListLike | null {
+  const GrammarList = typeof window === "undefined" ? null : window.SpeechGrammarList ?? window.webkitSpeechGrammarList;
+  if (!GrammarList || hints.phrases.length === 0) {
+    return null;
+  }
+  const byBoost = new Map<number, string[]>();
+  for (const { phrase, boost } of hints.phrases) {
+    const words = phrase.replace(JSGF_RESERVED, " ").trim().replace(/\s+/g, " ");
+    if (words) {
+      byBoost.set(boost, [...(byBoost.get(boost) ?? []), words]);
+    }
+  }
+  const list = new GrammarList();
+  for (const [boost, phrases] of byBoost) {
+    list.addFromString(`#JSGF V1.0; grammar hints; public <hint> = ${phrases.join(" | ")} ;`, boost / 10);
+  }
+  return list;
+}
+
+export function webSpeechAdapter(options: WebSpeechAdapterOptions = {}): VoiceDraftAdapter {
+  const finalizeDelayMs = options.finalizeDelayMs ?? DEFAULT_FINALIZE_DELAY_MS;
+  const maxAlternatives = options.maxAlternatives ?? DEFAULT_MAX_ALTERNATIVES;
+
+  let rec: SpeechRecognitionLike | null = null;
+  let stopping = false;
+
+  const abort = () => {
+    try {
+      rec?.abort();
+    } catch {
+      // ignore
+    }
+    rec = null;
+  };
+
+  return {
+    name: "web-speech",
+    isSupported: () => Boolean(getRecognitionConstructor()),
+    // One language per recognizer: `alternateLocales` are not used. Phrase hints become grammars; `context` is ignored.
+    supportedLocales: options.supportedLocales ?? WEB_SPEECH_LOCALES,
+
+    start: (context: VoiceDraftAdapterStartContext) => {
+      const Recognition = getRecognitionConstructor();
+      if (!Recognition) {
+        throw new VoiceDraftError("not-supported", "Speech recognition is not available in this browser.");
+      }
+
+      abort();
+      stopping = false;
+
+      const current = new Recognition();
+      current.continuous = true;
+      current.interimResults = true;
+      current.maxAlternatives = maxAlternatives;
+      current.lang = context.locale;
+      const grammars = toGrammarList(context.hints);
+      if (grammars) {
+        current.grammars = grammars;
+      }
+
+      current.onend = () => {
+        if (stopping || rec !== current) {
+          return;
+        }
+        try {
+          current.start();
+        } catch (error) {
+          context.onError(new VoiceDraftError("engine-error", "SpeechRecognition could not restart.", { cause: error }));
+        }
+      };
+
+      current.onerror = (event) => {
+        const code = event.error ?? "";
+        if (NON_BLOCKING_ERRORS.has(code)) {
+          return;
+        }
+        context.onError(fromSpeechRecognitionError(code, event.message));
+      };
+
+      current.onresult = (event) => {
+        let interimText = "";
+
+        for (let index = event.resultIndex; index < event.results.length; index += 1) {
+          const result = event.results[index];
+          if (!result.isFinal) {
+            interimText += result[0].transcript;
+            continue;
+          }
+          const final = toFinalResult(result);
+          if (final.transcript) {
+            context.onResult(final);
+          }
+        }
+
+        if (interimText) {
+          context.onResult({ transcript: interimText, isFinal: false });
+        }
+      };
+
+      rec = current;
+      current.start();
+    },
+
+    stop: async () => {
+      stopping = true;
+
+      try {
+        rec?.stop();
+      } catch {
+        // Ignore if recognition is not running.
+      }
+
+      // Give the engine a moment to flush its last final result.
+      await new Promise<void>((resolve) => {
+        setTimeout(() => resolve(), finalizeDelayMs);
+      });
+
+      abort();
+      return { transcript: "" };
+    },
+
+    cancel: () => {
+      stopping = true;
+      abort();
+    },
+  };
+}
@@ -0,0 +1,251 @@
+import type { VoiceDraftAdapter, VoiceDraftAdapterResult, VoiceDraftAdapterStartContext } from "./adapters.js";
+import { VoiceDraftError } from "./errors.js";
+import type { VoiceDraftAdapterHints } from "./hints.js";
+import { startPcmCapture } from "./pcm-capture.js";
+import type { PcmCapture } from "./pcm-capture.js";
+
+// Wire protocol, see docs/streaming-protocol.md.
+export type VoiceDraftStreamingClientMessage =
+  | {
+      type: "start";
+      locale: string;
+      // Only sent when the session has alternate locales.
+      alternateLocales?: string[];
+      // Only sent when the session has phrase hints or context.
+      hints?: VoiceDraftAdapterHints;
+      sampleRate: number;
+      encoding: "pcm_s16le";
+      channels: 1;
+    }
+  | { type: "stop" }
+  | { type: "cancel" };
+
+export type VoiceDraftStreamingServerMessage =
+  | { type: "interim"; text: string }
+  | {
+      type: "final";
+      text: string;
+      confidence?: number;
+      alternatives?: Array<{ text: string; confidence?: number }>;
+      start?: number;
+      end?: number;
+      locale?: string;
+    }
+  | { type: "error"; message: string; fatal?: boolean }
+  | { type: "done" };
+
+export interface WebSocketStreamingAdapterOptions {
+  url: string | (() => string | Promise<string>);
+  protocols?: string | string[];
+  sampleRate?: number;
+  frameMs?: number;
+  stopTimeoutMs?: number;
+  // The locales the server recognizes, if it has a fixed list.
+  supportedLocales?: readonly string[];
+  WebSocket?: typeof WebSocket;
+}
+
+interface StreamingSession {
+  socket: WebSocket;
+  capture: PcmCapture | null;
+  closing: boolean;
+  onDone: (() => void) | null;
+}
+
+const DEFAULT_SAMPLE_RATE = 16_000;
+const DEFAULT_STOP_TIMEOUT_MS = 3000;
+
+// Optional fields are copied only when the server sent them with the right type.
+function toFinalResult(
+  message: Extract<VoiceDraftStreamingServerMessage, { type: "final" }>,
+): VoiceDraftAdapterResult {
+  const result: VoiceDraftAdapterResult = { transcript: message.text, isFinal: true };
+  if (typeof message.confidence === "number") {
+    result.confidence = message.confidence;
+  }
+  if (Array.isArray(message.alternatives)) {
+    result.alternatives = message.alternatives.map((alternative) => ({
+      transcript: alternative.text,
+      confidence: alternative.confidence ?? null,
+    }));
+  }
+  if (typeof message.start === "number") {
+    result.start = message.start;
+  }
+  if (typeof message.end === "number") {
+    result.end = message.end;
+  }
+  if (typeof message.locale === "string" && message.locale) {
+    result.locale = message.locale;
+  }
+  return result;
+}
+
+function getWebSocketConstructor(options: WebSocketStreamingAdapterOptions): typeof WebSocket | null {
+  if (options.WebSocket) {
+    return options.WebSocket;
+  }
+  return typeof WebSocket === "undefined" ? null : WebSocket;
+}
+
+function openSocket(socket: WebSocket): Promise<void> {
+  return new Promise((resolve, reject) => {
+    socket.onopen = () => resolve();
+    socket.onerror = () =>
+      reject(new VoiceDraftError("network", "Could not connect to the streaming transcription server."));
+    socket.onclose = (event) =>
+      reject(
+        new VoiceDraftError(
+          "network",
+          `Streaming transcription connection closed before opening (code ${event.code}).`,
+        ),
+      );
+  });
+}
+
+function send(socket: WebSocket, message: VoiceDraftStreamingClientMessage): void {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+export function webSocketStreamingAdapter(options: WebSocketStreamingAdapterOptions): VoiceDraftAdapter {
+  let session: StreamingSession | null = null;
+
+  const close = (current: StreamingSession) => {
+    current.closing = true;
+    if (current.socket.readyState === current.socket.CONNECTING || current.socket.readyState === current.socket.OPEN) {
+      current.socket.close(1000);
+    }
+  };
+
+  return {
+    name: "websocket-streaming",
+    isSupported: () =>
+      Boolean(getWebSocketConstructor(options)) && typeof AudioWorkletNode !== "undefined",
+    supportedLocales: options.supportedLocales,
+
+    start: async (context: VoiceDraftAdapterStartContext) => {
+      const Socket = getWebSocketConstructor(options);
+      if (!Socket) {
+        throw new VoiceDraftError("not-supported", "WebSocket is not available in this environment.");
+      }
+
+      if (session) {
+        close(session);
+      }
+
+      const url = typeof options.url === "function" ? await options.url() : options.url;
+      const socket = new Socket(url, options.protocols);
+      socket.binaryType = "arraybuffer";
+
+      const current: StreamingSession = { socket, capture: null, closing: false, onDone: null };
+      session = current;
+
+      await openSocket(socket);
+
+      socket.onerror = null;
+      socket.onclose = (event) => {
+        current.onDone?.();
+        if (!current.closing && session === current) {
+          context.onError(
+            new VoiceDraftError("network", `Streaming transcription connection closed (code ${event.code}).`),
+          );
+        }
+      };
+      socket.onmessage = (event: MessageEvent) => {
+        if (typeof event.data !== "string") {
+          return;
+        }
+        let message: VoiceDraftStreamingServerMessage;
+        try {
+          message = JSON.parse(event.data);
+        } catch {
+          return;
+        }
+
+        if (message.type === "interim") {
+          context.onResult({ transcript: message.text, isFinal: false });
+        } else if (message.type === "final") {
+          context.onResult(toFinalResult(message));
+        } else if (message.type === "error") {
+          context.onError(
+            new VoiceDraftError("engine-error", `Streaming transcription error: ${message.message}`, {
+              recoverable: message.fatal === false,
+              cause: message,
+            }),
+          );
+        } else if (message.type === "done") {
+          current.onDone?.();
+        }
+      };
+
+      const sampleRate = Math.min(options.sampleRate ?? DEFAULT_SAMPLE_RATE, context.audioContext.sampleRate);
+      const alternateLocales = context.alternateLocales.length > 0 ? { alternateLocales: context.alternateLocales } : {};
+      const { hints } = context;
+      const hinted = hints.phrases.length > 0 || hints.context ? { hints } : {};
+      send(socket, {
+        type: "start",
+        locale: context.locale,
+        ...alternateLocales,
+        ...hinted,
+        sampleRate,
+        encoding: "pcm_s16le",
+        channels: 1,
+      });
+
+      const capture = await startPcmCapture(context.audioContext, context.stream, {
+        sampleRate,
+        frameMs: options.frameMs,
+        onFrame: (frame) => {
+          if (socket.readyState === socket.OPEN) {
+            socket.send(frame);
+          }
+        },
+      });
+
+      if (session !== current) {
+        void capture.stop();
+        return;
+      }
+      current.capture = capture;
+    },
+
+    stop: async () => {
+      const current = session;
+      session = null;
+      if (!current) {
+        return { transcript: "" };
+      }
+
+      await current.capture?.stop();
+
+      await new Promise<void>((resolve) => {
+        if (current.socket.readyState !== current.socket.OPEN) {
+          resolve();
+          return;
+        }
+        const timeoutId = setTimeout(() => resolve(), options.stopTimeoutMs ?? DEFAULT_STOP_TIMEOUT_MS);
+        current.onDone = () => {
+          clearTimeout(timeoutId);
+          resolve();
+        };
+        send(current.socket, { type: "stop" });
+      });
+
+      close(current);
+      return { transcript: "" };
+    },
+
+    cancel: () => {
+      const current = session;
+      session = null;
+      if (!current) {
+        return;
+      }
+      void current.capture?.stop();
+      send(current.socket, { type: "cancel" });
+      close(current);
+    },
+  };
+}
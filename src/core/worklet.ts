@@ -0,0 +1,17 @@
+const registeredModules = new WeakMap<BaseAudioContext, Map<string, Promise<void>>>();
+
+// Loads an inline AudioWorklet module once per context.
+export function registerWorkletModule(audioContext: BaseAudioContext, name: string, source: string): Promise<void> {
+  let modules = registeredModules.get(audioContext);
+  if (!modules) {
+    modules = new Map();
+    registeredModules.set(audioContext, modules);
+  }
+  let registration = modules.get(name);
+  if (!registration) {
+    const url = URL.createObjectURL(new Blob([source], { type: "application/javascript" }));
+    registration = audioContext.audioWorklet.addModule(url).finally(() => URL.revokeObjectURL(url));
+    modules.set(name, registration);
+  }
+  return registration;
+}
@@ -0,0 +1,64 @@
+import type { ReactNode } from "react";
+
+// 16px stroke icons drawn in `currentColor`. Buttons carry the accessible name.
+
+function Icon({ children }: { children: ReactNode }) {
+  return (
+    <svg
+      className="vd-icon"
+      viewBox="0 0 16 16"
+      width="16"
+      height="16"
+      fill="none"
+      stroke="currentColor"
+      strokeWidth="1.5"
+      strokeLinecap="round"
+      strokeLinejoin="round"
+      aria-hidden
+      focusable="false"
+    >
+      {children}
+    </svg>
+  );
+}
+
+export function MicIcon() {
+  return (
+    <Icon>
+      <rect x="5.5" y="1.5" width="5" height="8" rx="2.5" />
+      <path d="M3 7.5a5 5 0 0 0 10 0M8 12.5v2" />
+    </Icon>
+  );
+}
+
+export function CancelIcon() {
+  return (
+    <Icon>
+      <path d="M4 4l8 8M12 4l-8 8" />
+    </Icon>
+  );
+}
+
+export function ConfirmIcon() {
+  return (
+    <Icon>
+      <path d="M3 8.5l3.5 3.5L13 4.5" />
+    </Icon>
+  );
+}
+
+export function PauseIcon() {
+  return (
+    <Icon>
+      <path d="M5.5 3.5v9M10.5 3.5v9" />
+    </Icon>
+  );
+}
+
+export function ResumeIcon() {
+  return (
+    <Icon>
+      <path d="M5 3.5v9l7-4.5z" fill="currentColor" />
+    </Icon>
+  );
+}
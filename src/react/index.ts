@@ -1,9 +1,25 @@
+export { getVoiceDraftLabels, VOICE_DRAFT_LABELS } from "./labels.js";
+export type { VoiceDraftLabels } from "./labels.js";
+export { useAudioInputDevices } from "./use-audio-input-devices.js";
+export type { AudioInputDevicesState } from "./use-audio-input-devices.js";
 export { useVoiceDraft } from "./use-voice-draft.js";
+export { useVoiceDraftField } from "./use-voice-draft-field.js";
+export type { VoiceDraftFieldState } from "./use-voice-draft-field.js";
 export { VoiceDraftBar } from "./voice-draft-bar.js";
+export { VoiceDraft, useVoiceDraftContext } from "./voice-draft-parts.js";
+export { VoiceDraftWaveform } from "./voice-draft-waveform.js";
 export type {
   UseVoiceDraftOptions,
   VoiceDraftBarProps,
+  VoiceDraftButtonProps,
+  VoiceDraftContextValue,
+  VoiceDraftHotkeys,
+  VoiceDraftMode,
   VoiceDraftNoiseGateOptions,
+  VoiceDraftRootProps,
   VoiceDraftSilenceOptions,
   VoiceDraftState,
+  VoiceDraftTimerProps,
+  VoiceDraftTranscriptProps,
+  VoiceDraftWaveformProps,
 } from "./types.js";
@@ -0,0 +1,316 @@
+export interface VoiceDraftLabels {
+  start: string;
+  pushToTalk: string;
+  cancel: string;
+  confirm: string;
+  pause: string;
+  resume: string;
+  unsupported: string;
+  requestingPermission: string;
+  finalizing: string;
+  paused: string;
+  remaining: string;
+  error: string;
+  transcript: string;
+  insert: string;
+  rerecord: string;
+  discard: string;
+  recording: string;
+  waveform: string;
+  // Live-region announcements. `{seconds}` is replaced with the time left.
+  started: string;
+  resumed: string;
+  stopped: string;
+  autoStopped: string;
+  limitReached: string;
+  limitApproaching: string;
+  cancelled: string;
+}
+
+const en: VoiceDraftLabels = {
+  start: "Voice input",
+  pushToTalk: "Hold to talk",
+  cancel: "Cancel recording",
+  confirm: "Confirm recording",
+  pause: "Pause recording",
+  resume: "Resume recording",
+  unsupported: "Transcription is not available in this browser.",
+  requestingPermission: "Waiting for microphone permission…",
+  finalizing: "Finalizing…",
+  paused: "Paused",
+  remaining: "Time remaining",
+  error: "Voice input failed. Try again.",
+  transcript: "Transcript",
+  insert: "Insert",
+  rerecord: "Re-record",
+  discard: "Discard",
+  recording: "Recording",
+  waveform: "Microphone level",
+  started: "Recording started",
+  resumed: "Recording resumed",
+  stopped: "Recording stopped",
+  autoStopped: "Recording stopped after silence",
+  limitReached: "Recording stopped at the time limit",
+  limitApproaching: "{seconds} seconds left",
+  cancelled: "Recording cancelled",
+};
+
+const es: VoiceDraftLabels = {
+  start: "Entrada de voz",
+  pushToTalk: "Mantén pulsado para hablar",
+  cancel: "Cancelar grabación",
+  confirm: "Confirmar grabación",
+  pause: "Pausar grabación",
+  resume: "Reanudar grabación",
+  unsupported: "La transcripción no está disponible en este navegador.",
+  requestingPermission: "Esperando permiso del micrófono…",
+  finalizing: "Finalizando…",
+  paused: "En pausa",
+  remaining: "Tiempo restante",
+  error: "La entrada de voz falló. Inténtalo de nuevo.",
+  transcript: "Transcripción",
+  insert: "Insertar",
+  rerecord: "Volver a grabar",
+  discard: "Descartar",
+  recording: "Grabación",
+  waveform: "Nivel del micrófono",
+  started: "Grabación iniciada",
+  resumed: "Grabación reanudada",
+  stopped: "Grabación detenida",
+  autoStopped: "Grabación detenida tras un silencio",
+  limitReached: "Grabación detenida al alcanzar el límite de tiempo",
+  limitApproaching: "Quedan {seconds} segundos",
+  cancelled: "Grabación cancelada",
+};
+
+const fr: VoiceDraftLabels = {
+  start: "Saisie vocale",
+  pushToTalk: "Maintenir pour parler",
+  cancel: "Annuler l’enregistrement",
+  confirm: "Valider l’enregistrement",
+  pause: "Mettre l’enregistrement en pause",
+  resume: "Reprendre l’enregistrement",
+  unsupported: "La transcription n’est pas disponible dans ce navigateur.",
+  requestingPermission: "En attente de l’autorisation du micro…",
+  finalizing: "Finalisation…",
+  paused: "En pause",
+  remaining: "Temps restant",
+  error: "La saisie vocale a échoué. Réessayez.",
+  transcript: "Transcription",
+  insert: "Insérer",
+  rerecord: "Réenregistrer",
+  discard: "Supprimer",
+  recording: "Enregistrement",
+  waveform: "Niveau du micro",
+  started: "Enregistrement démarré",
+  resumed: "Enregistrement repris",
+  stopped: "Enregistrement arrêté",
+  autoStopped: "Enregistrement arrêté après un silence",
+  limitReached: "Enregistrement arrêté à la limite de durée",
+  limitApproaching: "Plus que {seconds} secondes",
+  cancelled: "Enregistrement annulé",
+};
+
+const de: VoiceDraftLabels = {
+  start: "Spracheingabe",
+  pushToTalk: "Zum Sprechen gedrückt halten",
+  cancel: "Aufnahme abbrechen",
+  confirm: "Aufnahme bestätigen",
+  pause: "Aufnahme pausieren",
+  resume: "Aufnahme fortsetzen",
+  unsupported: "Transkription ist in diesem Browser nicht verfügbar.",
+  requestingPermission: "Warte auf Mikrofonberechtigung…",
+  finalizing: "Wird abgeschlossen…",
+  paused: "Pausiert",
+  remaining: "Verbleibende Zeit",
+  error: "Spracheingabe fehlgeschlagen. Bitte erneut versuchen.",
+  transcript: "Transkript",
+  insert: "Einfügen",
+  rerecord: "Neu aufnehmen",
+  discard: "Verwerfen",
+  recording: "Aufnahme",
+  waveform: "Mikrofonpegel",
+  started: "Aufnahme gestartet",
+  resumed: "Aufnahme fortgesetzt",
+  stopped: "Aufnahme beendet",
+  autoStopped: "Aufnahme nach Stille beendet",
+  limitReached: "Aufnahme am Zeitlimit beendet",
+  limitApproaching: "Noch {seconds} Sekunden",
+  cancelled: "Aufnahme abgebrochen",
+};
+
+const it: VoiceDraftLabels = {
+  start: "Input vocale",
+  pushToTalk: "Tieni premuto per parlare",
+  cancel: "Annulla registrazione",
+  confirm: "Conferma registrazione",
+  pause: "Metti in pausa la registrazione",
+  resume: "Riprendi la registrazione",
+  unsupported: "La trascrizione non è disponibile in questo browser.",
+  requestingPermission: "In attesa dell’autorizzazione al microfono…",
+  finalizing: "Completamento…",
+  paused: "In pausa",
+  remaining: "Tempo rimanente",
+  error: "Input vocale non riuscito. Riprova.",
+  transcript: "Trascrizione",
+  insert: "Inserisci",
+  rerecord: "Registra di nuovo",
+  discard: "Scarta",
+  recording: "Registrazione",
+  waveform: "Livello del microfono",
+  started: "Registrazione avviata",
+  resumed: "Registrazione ripresa",
+  stopped: "Registrazione interrotta",
+  autoStopped: "Registrazione interrotta dopo un silenzio",
+  limitReached: "Registrazione interrotta al limite di tempo",
+  limitApproaching: "Mancano {seconds} secondi",
+  cancelled: "Registrazione annullata",
+};
+
+const pt: VoiceDraftLabels = {
+  start: "Entrada de voz",
+  pushToTalk: "Mantenha pressionado para falar",
+  cancel: "Cancelar gravação",
+  confirm: "Confirmar gravação",
+  pause: "Pausar gravação",
+  resume: "Retomar gravação",
+  unsupported: "A transcrição não está disponível neste navegador.",
+  requestingPermission: "Aguardando permissão do microfone…",
+  finalizing: "Finalizando…",
+  paused: "Pausado",
+  remaining: "Tempo restante",
+  error: "A entrada de voz falhou. Tente novamente.",
+  transcript: "Transcrição",
+  insert: "Inserir",
+  rerecord: "Gravar novamente",
+  discard: "Descartar",
+  recording: "Gravação",
+  waveform: "Nível do microfone",
+  started: "Gravação iniciada",
+  resumed: "Gravação retomada",
+  stopped: "Gravação encerrada",
+  autoStopped: "Gravação encerrada após silêncio",
+  limitReached: "Gravação encerrada no limite de tempo",
+  limitApproaching: "Restam {seconds} segundos",
+  cancelled: "Gravação cancelada",
+};
+
+const nl: VoiceDraftLabels = {
+  start: "Spraakinvoer",
+  pushToTalk: "Ingedrukt houden om te praten",
+  cancel: "Opname annuleren",
+  confirm: "Opname bevestigen",
+  pause: "Opname pauzeren",
+  resume: "Opname hervatten",
+  unsupported: "Transcriptie is niet beschikbaar in deze browser.",
+  requestingPermission: "Wachten op toestemming voor de microfoon…",
+  finalizing: "Bezig met afronden…",
+  paused: "Gepauzeerd",
+  remaining: "Resterende tijd",
+  error: "Spraakinvoer mislukt. Probeer het opnieuw.",
+  transcript: "Transcriptie",
+  insert: "Invoegen",
+  rerecord: "Opnieuw opnemen",
+  discard: "Verwijderen",
+  recording: "Opname",
+  waveform: "Microfoonniveau",
+  started: "Opname gestart",
+  resumed: "Opname hervat",
+  stopped: "Opname gestopt",
+  autoStopped: "Opname gestopt na stilte",
+  limitReached: "Opname gestopt bij de tijdslimiet",
+  limitApproaching: "Nog {seconds} seconden",
+  cancelled: "Opname geannuleerd",
+};
+
+const ja: VoiceDraftLabels = {
+  start: "音声入力",
+  pushToTalk: "押している間だけ録音",
+  cancel: "録音をキャンセル",
+  confirm: "録音を確定",
+  pause: "録音を一時停止",
+  resume: "録音を再開",
+  unsupported: "このブラウザでは文字起こしを利用できません。",
+  requestingPermission: "マイクの許可を待っています…",
+  finalizing: "処理中…",
+  paused: "一時停止中",
+  remaining: "残り時間",
+  error: "音声入力に失敗しました。もう一度お試しください。",
+  transcript: "文字起こし",
+  insert: "挿入",
+  rerecord: "録り直す",
+  discard: "破棄",
+  recording: "録音",
+  waveform: "マイクの音量",
+  started: "録音を開始しました",
+  resumed: "録音を再開しました",
+  stopped: "録音を停止しました",
+  autoStopped: "無音のため録音を停止しました",
+  limitReached: "制限時間に達したため録音を停止しました",
+  limitApproaching: "残り{seconds}秒",
+  cancelled: "録音をキャンセルしました",
+};
+
+const zh: VoiceDraftLabels = {
+  start: "语音输入",
+  pushToTalk: "按住说话",
+  cancel: "取消录音",
+  confirm: "确认录音",
+  pause: "暂停录音",
+  resume: "继续录音",
+  unsupported: "此浏览器不支持语音转写。",
+  requestingPermission: "正在等待麦克风权限…",
+  finalizing: "正在完成…",
+  paused: "已暂停",
+  remaining: "剩余时间",
+  error: "语音输入失败，请重试。",
+  transcript: "转写文本",
+  insert: "插入",
+  rerecord: "重新录制",
+  discard: "放弃",
+  recording: "录音",
+  waveform: "麦克风音量",
+  started: "已开始录音",
+  resumed: "已继续录音",
+  stopped: "已停止录音",
+  autoStopped: "检测到静音，已停止录音",
+  limitReached: "已达到时长上限，录音已停止",
+  limitApproaching: "还剩 {seconds} 秒",
+  cancelled: "已取消录音",
+};
+
+const ko: VoiceDraftLabels = {
+  start: "음성 입력",
+  pushToTalk: "누르고 있는 동안 말하기",
+  cancel: "녹음 취소",
+  confirm: "녹음 확인",
+  pause: "녹음 일시정지",
+  resume: "녹음 재개",
+  unsupported: "이 브라우저에서는 음성 변환을 사용할 수 없습니다.",
+  requestingPermission: "마이크 권한을 기다리는 중…",
+  finalizing: "마무리하는 중…",
+  paused: "일시정지됨",
+  remaining: "남은 시간",
+  error: "음성 입력에 실패했습니다. 다시 시도하세요.",
+  transcript: "텍스트",
+  insert: "삽입",
+  rerecord: "다시 녹음",
+  discard: "삭제",
+  recording: "녹음",
+  waveform: "마이크 음량",
+  started: "녹음이 시작되었습니다",
+  resumed: "녹음이 재개되었습니다",
+  stopped: "녹음이 중지되었습니다",
+  autoStopped: "무음이 감지되어 녹음이 중지되었습니다",
+  limitReached: "시간 제한에 도달해 녹음이 중지되었습니다",
+  limitApproaching: "{seconds}초 남음",
+  cancelled: "녹음이 취소되었습니다",
+};
+
+export const VOICE_DRAFT_LABELS: Record<string, VoiceDraftLabels> = { en, es, fr, de, it, pt, nl, ja, zh, ko };
+
+// Looks up the full locale, then its language. Falls back to English.
+export function getVoiceDraftLabels(locale: string): VoiceDraftLabels {
+  const key = locale.toLowerCase().replace("_", "-");
+  return VOICE_DRAFT_LABELS[key] ?? VOICE_DRAFT_LABELS[key.split("-")[0]] ?? en;
+}
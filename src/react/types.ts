@@ -1,54 +1,155 @@
-export interface VoiceDraftNoiseGateOptions {
-  activationThreshold?: number;
-  minActiveLevel?: number;
-  gain?: number;
-  curveExponent?: number;
-}
+import type { ButtonHTMLAttributes, HTMLAttributes, PointerEvent, ReactNode, RefObject } from "react";
+import type { VoiceDraftMeter } from "../core/meter.js";
+import type { VoiceDraftStatus } from "../core/status.js";
+import type {
+  VoiceDraftControllerOptions,
+  VoiceDraftSegment,
+  VoiceDraftSnapshot,
+  VoiceDraftStopReason,
+} from "../core/types.js";
+import type { VoiceDraftLabels } from "./labels.js";
+
+export type {
+  VoiceDraftNoiseGateOptions,
+  VoiceDraftSilenceOptions,
+} from "../core/types.js";
+
+// "push-to-talk" records while the Mic button or start hotkey is held and confirms on release.
+export type VoiceDraftMode = "toggle" | "push-to-talk";
 
-export interface VoiceDraftSilenceOptions {
-  enabled?: boolean;
-  autoStopMs?: number;
-  minSpeechMs?: number;
-  minLevel?: number;
+// Each hotkey can be a string like "Mod+Shift+Space" (see `matchesHotkey`) or false to disable it.
+export interface VoiceDraftHotkeys {
+  // Starts a session; in "toggle" mode pressing it again confirms.
+  start?: string | false;
+  // Only while a session is running.
+  cancel?: string | false;
+  confirm?: string | false;
+  // Listen inside this element only. Defaults to the whole window.
+  scope?: RefObject<HTMLElement | null>;
 }
 
-export interface UseVoiceDraftOptions {
-  locale?: string;
-  sampleIntervalMs?: number;
-  maxHistory?: number;
-  finalizeDelayMs?: number;
-  noiseGate?: VoiceDraftNoiseGateOptions;
-  silence?: VoiceDraftSilenceOptions;
-  onAutoStop?: (text: string) => void;
-  onError?: (error: Error) => void;
+export interface UseVoiceDraftOptions extends VoiceDraftControllerOptions {
+  mode?: VoiceDraftMode;
+  // Off unless set; `{}` enables the defaults (Mod+Shift+Space, Escape, Enter).
+  hotkeys?: VoiceDraftHotkeys;
+  // Receives the transcript, if any, whenever `confirm()` finishes: hotkeys, push-to-talk release or your own call.
+  onConfirm?: (text: string) => void;
+  // Gets focus back after `confirm()`, e.g. the field the text goes into.
+  target?: RefObject<HTMLElement | null>;
 }
 
-export interface VoiceDraftState {
-  canTranscribe: boolean;
-  listening: boolean;
-  waveform: number[];
-  elapsed: number;
-  draftText: string;
-  start: () => void;
+export interface VoiceDraftState extends VoiceDraftSnapshot {
+  meter: VoiceDraftMeter;
+  mode: VoiceDraftMode;
+  start: () => boolean;
   stopAndGetText: () => Promise<string>;
-  cancel: () => void;
+  // stopAndGetText(), then `onConfirm` and focus back to `target`.
+  confirm: () => Promise<string>;
+  pause: () => boolean;
+  resume: () => boolean;
+  cancel: () => boolean;
   clearDraft: () => void;
+  setDraftText: (text: string) => boolean;
+  getRecording: () => Blob | null;
+  setDevice: (deviceId: string | null) => Promise<boolean>;
+  setLocale: (locale: string) => boolean;
+  getSupportedLocales: () => readonly string[] | null;
+  requestPermission: () => Promise<boolean>;
 }
 
-export interface VoiceDraftBarProps {
+export interface VoiceDraftRootProps {
+  status?: VoiceDraftStatus;
+  // With "push-to-talk", holding the start button records and releasing it calls `onConfirm`.
+  // In "toggle" mode a long press does the same.
+  mode?: VoiceDraftMode;
   listening: boolean;
   canTranscribe: boolean;
-  waveform: number[];
+  meter: VoiceDraftMeter;
   elapsed: number;
   disabled?: boolean;
   className?: string;
+  children?: ReactNode;
   onStart: () => void;
   onCancel: () => void;
-  onConfirm: () => void | Promise<void>;
-  labels?: {
-    start?: string;
-    cancel?: string;
-    confirm?: string;
-    unsupported?: string;
-  };
+  onConfirm: () => void | Promise<unknown>;
+  // Both are needed for `VoiceDraft.PauseButton`.
+  onPause?: () => void;
+  onResume?: () => void;
+  // Pass `voice.remaining` and `voice.limitApproaching` to turn the timer into a countdown near `maxDurationMs`.
+  remaining?: number | null;
+  limitApproaching?: boolean;
+  draftText?: string;
+  // Low-confidence words are underlined in review while the text is unedited.
+  segments?: VoiceDraftSegment[];
+  lowConfidenceThreshold?: number;
+  // Makes the review transcript editable.
+  onDraftTextChange?: (text: string) => void;
+  // Bundled labels for this locale are used unless overridden in `labels`; pass `voice.locale`.
+  locale?: string;
+  labels?: Partial<VoiceDraftLabels>;
+  // Pass `voice.stopReason` so the live region can say why a recording ended.
+  stopReason?: VoiceDraftStopReason | null;
+  // Screen readers hear the live transcript at most every 1.5s while recording. Defaults to true.
+  announceTranscript?: boolean;
+}
+
+export interface VoiceDraftBarProps extends Omit<VoiceDraftRootProps, "children"> {
+  review?: boolean;
+  // Played back in review; pass `voice.recording`.
+  recording?: Blob | null;
+  onInsert?: (text: string) => void;
+  onDiscard?: () => void;
+  onRerecord?: () => void;
+}
+
+// What `useVoiceDraftContext()` returns inside `VoiceDraft.Root`: the root props with defaults
+// applied and labels resolved.
+export interface VoiceDraftContextValue
+  extends Required<
+    Pick<
+      VoiceDraftRootProps,
+      | "mode"
+      | "listening"
+      | "canTranscribe"
+      | "meter"
+      | "elapsed"
+      | "disabled"
+      | "onStart"
+      | "onCancel"
+      | "onConfirm"
+      | "remaining"
+      | "limitApproaching"
+      | "draftText"
+      | "lowConfidenceThreshold"
+    >
+  > {
+  status: VoiceDraftStatus;
+  labels: VoiceDraftLabels;
+  segments?: VoiceDraftSegment[];
+  onPause?: () => void;
+  onResume?: () => void;
+  onDraftTextChange?: (text: string) => void;
+  // Pointer-down handler of the Mic button; the press outlives the button (see `mode`).
+  onStartPress: (event: PointerEvent<HTMLButtonElement>) => void;
+}
+
+// Parts accept the usual element props; `children` replaces the default icon or content.
+export type VoiceDraftButtonProps = Omit<ButtonHTMLAttributes<HTMLButtonElement>, "type" | "onClick">;
+
+export type VoiceDraftTimerProps = HTMLAttributes<HTMLSpanElement>;
+
+export interface VoiceDraftTranscriptProps extends HTMLAttributes<HTMLElement> {
+  // Class of the `<textarea>` shown in review.
+  inputClassName?: string;
+}
+
+export interface VoiceDraftWaveformProps {
+  meter: VoiceDraftMeter;
+  className?: string;
+  // Bar width and spacing in CSS pixels. Default to the `--vd-wave-bar-width` and `--vd-wave-gap`
+  // custom properties, then 2 and 1. Bar colour is the canvas's CSS `color`.
+  barWidth?: number;
+  barGap?: number;
+  // Accessible name for the canvas; without it the waveform is hidden from assistive technology.
+  label?: string;
 }
@@ -0,0 +1,36 @@
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import { listAudioInputDevices } from "../core/devices.js";
+
+export interface AudioInputDevicesState {
+  devices: MediaDeviceInfo[];
+  refresh: () => Promise<void>;
+}
+
+export function useAudioInputDevices(): AudioInputDevicesState {
+  const [devices, setDevices] = useState<MediaDeviceInfo[]>([]);
+
+  const refresh = useCallback(async () => {
+    try {
+      setDevices(await listAudioInputDevices());
+    } catch {
+      setDevices([]);
+    }
+  }, []);
+
+  useEffect(() => {
+    void refresh();
+    const mediaDevices = typeof navigator === "undefined" ? undefined : navigator.mediaDevices;
+    if (typeof mediaDevices?.addEventListener !== "function") {
+      return;
+    }
+    const onDeviceChange = () => {
+      void refresh();
+    };
+    mediaDevices.addEventListener("devicechange", onDeviceChange);
+    return () => mediaDevices.removeEventListener("devicechange", onDeviceChange);
+  }, [refresh]);
+
+  return { devices, refresh };
+}
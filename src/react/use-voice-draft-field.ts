@@ -0,0 +1,45 @@
+"use client";
+
+import { useCallback, useEffect, useMemo, useRef, type RefObject } from "react";
+import { captureFieldRange, insertIntoField, isTextControl } from "../core/text-field.js";
+
+export interface VoiceDraftFieldState {
+  insert: (text: string) => boolean;
+}
+
+export function useVoiceDraftField(ref: RefObject<HTMLElement | null>): VoiceDraftFieldState {
+  const savedRange = useRef<Range | null>(null);
+
+  useEffect(() => {
+    const element = ref.current;
+    if (!element || isTextControl(element)) {
+      return;
+    }
+    const document = element.ownerDocument;
+    const onSelectionChange = () => {
+      const range = captureFieldRange(element);
+      if (range) {
+        savedRange.current = range;
+      }
+    };
+    document.addEventListener("selectionchange", onSelectionChange);
+    return () => document.removeEventListener("selectionchange", onSelectionChange);
+  }, [ref]);
+
+  const insert = useCallback(
+    (text: string) => {
+      const element = ref.current;
+      if (!element) {
+        return false;
+      }
+      const inserted = insertIntoField(element, text, savedRange.current);
+      if (inserted && !isTextControl(element)) {
+        savedRange.current = captureFieldRange(element);
+      }
+      return inserted;
+    },
+    [ref],
+  );
+
+  return useMemo(() => ({ insert }), [insert]);
+}
@@ -0,0 +1,97 @@
+"use client";
+
+import { useEffect, useRef } from "react";
+import type { VoiceDraftController } from "../core/controller.js";
+import { matchesHotkey, matchesHotkeyKey } from "../core/hotkeys.js";
+import type { VoiceDraftHotkeys, VoiceDraftMode } from "./types.js";
+
+const DEFAULT_START_HOTKEY = "Mod+Shift+Space";
+const DEFAULT_CANCEL_HOTKEY = "Escape";
+const DEFAULT_CONFIRM_HOTKEY = "Enter";
+
+function isRunning(controller: VoiceDraftController): boolean {
+  const { status } = controller.getSnapshot();
+  return status === "requesting-permission" || status === "listening" || status === "paused";
+}
+
+export function useVoiceDraftHotkeys(
+  controller: VoiceDraftController,
+  hotkeys: VoiceDraftHotkeys | undefined,
+  mode: VoiceDraftMode,
+  confirm: () => Promise<string>,
+): void {
+  const latest = useRef({ hotkeys, mode, confirm });
+  latest.current = { hotkeys, mode, confirm };
+  const enabled = Boolean(hotkeys);
+  const scope = hotkeys?.scope;
+
+  useEffect(() => {
+    if (!enabled) {
+      return;
+    }
+    const target: HTMLElement | Window | null = scope ? scope.current : typeof window === "undefined" ? null : window;
+    if (!target) {
+      return;
+    }
+    // Set while the push-to-talk key is down, so its release confirms.
+    let heldKey: string | null = null;
+
+    const onKeyDown = (event: KeyboardEvent) => {
+      const { hotkeys: current, mode: currentMode, confirm: currentConfirm } = latest.current;
+      const start = current?.start ?? DEFAULT_START_HOTKEY;
+      const cancel = current?.cancel ?? DEFAULT_CANCEL_HOTKEY;
+      const confirmKey = current?.confirm ?? DEFAULT_CONFIRM_HOTKEY;
+
+      if (start && matchesHotkey(event, start)) {
+        event.preventDefault();
+        if (event.repeat) {
+          return;
+        }
+        if (currentMode === "push-to-talk") {
+          heldKey = controller.start() ? start : null;
+        } else if (isRunning(controller)) {
+          void currentConfirm();
+        } else {
+          controller.start();
+        }
+        return;
+      }
+      if (!isRunning(controller)) {
+        return;
+      }
+      if (cancel && matchesHotkey(event, cancel)) {
+        event.preventDefault();
+        controller.cancel();
+      } else if (confirmKey && matchesHotkey(event, confirmKey)) {
+        event.preventDefault();
+        void currentConfirm();
+      }
+    };
+
+    const onKeyUp = (event: KeyboardEvent) => {
+      if (heldKey && matchesHotkeyKey(event, heldKey)) {
+        heldKey = null;
+        void latest.current.confirm();
+      }
+    };
+
+    // Releasing the key in another window never reaches us; treat losing focus as a release.
+    const onBlur = () => {
+      if (heldKey) {
+        heldKey = null;
+        void latest.current.confirm();
+      }
+    };
+
+    const onKeyDownListener = onKeyDown as EventListener;
+    const onKeyUpListener = onKeyUp as EventListener;
+    target.addEventListener("keydown", onKeyDownListener);
+    target.addEventListener("keyup", onKeyUpListener);
+    window.addEventListener("blur", onBlur);
+    return () => {
+      target.removeEventListener("keydown", onKeyDownListener);
+      target.removeEventListener("keyup", onKeyUpListener);
+      window.removeEventListener("blur", onBlur);
+    };
+  }, [controller, enabled, scope]);
+}
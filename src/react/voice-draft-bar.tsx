@@ -1,83 +1,121 @@
 "use client";
 
+import { useEffect, useState } from "react";
 import type { VoiceDraftBarProps } from "./types.js";
-import { formatElapsed } from "../utils/format.js";
+import { VoiceDraft, useVoiceDraftContext } from "./voice-draft-parts.js";
+import { cx } from "../utils/class-names.js";
 
-function cx(...values: Array<string | undefined | false>): string {
-  return values.filter(Boolean).join(" ");
+function RecordingPlayer({ recording, label }: { recording: Blob; label: string }) {
+  const [url, setUrl] = useState<string | null>(null);
+
+  useEffect(() => {
+    const objectUrl = URL.createObjectURL(recording);
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [recording]);
+
+  return url ? <audio className="vd-recording" src={url} controls preload="metadata" aria-label={label} /> : null;
 }
 
-export function VoiceDraftBar({
-  listening,
-  canTranscribe,
-  waveform,
-  elapsed,
-  disabled,
-  className,
-  onStart,
-  onCancel,
-  onConfirm,
-  labels,
-}: VoiceDraftBarProps) {
-  const startLabel = labels?.start ?? "Voice input";
-  const cancelLabel = labels?.cancel ?? "Cancel recording";
-  const confirmLabel = labels?.confirm ?? "Confirm recording";
-  const unsupportedLabel = labels?.unsupported ?? "Transcription is not available in this browser.";
+function ReviewLayout({ recording, onInsert, onDiscard, onRerecord }: BarLayoutProps) {
+  const { canTranscribe, disabled, draftText, labels, onCancel, onStart } = useVoiceDraftContext();
 
-  if (!listening) {
-    return (
-      <div className={cx("vd-bar", "vd-bar-idle", className)}>
+  return (
+    <>
+      <VoiceDraft.Transcript />
+      {recording && <RecordingPlayer recording={recording} label={labels.recording} />}
+      <div className="vd-review-actions">
+        <button type="button" className="vd-button vd-button-discard" onClick={onDiscard ?? onCancel} disabled={disabled}>
+          {labels.discard}
+        </button>
         <button
           type="button"
-          className="vd-button vd-button-start"
-          onClick={onStart}
+          className="vd-button vd-button-rerecord"
+          onClick={onRerecord ?? onStart}
           disabled={disabled || !canTranscribe}
-          aria-label={startLabel}
-          title={!canTranscribe ? unsupportedLabel : startLabel}
         >
-          Mic
+          {labels.rerecord}
+        </button>
+        <button
+          type="button"
+          className="vd-button vd-button-insert"
+          onClick={() => onInsert?.(draftText)}
+          disabled={disabled || !draftText.trim()}
+        >
+          {labels.insert}
         </button>
-        {!canTranscribe && <span className="vd-hint">{unsupportedLabel}</span>}
       </div>
-    );
-  }
+    </>
+  );
+}
+
+function IdleLayout() {
+  const { status, canTranscribe, labels } = useVoiceDraftContext();
+  const hint = !canTranscribe ? labels.unsupported : status === "error" ? labels.error : null;
 
   return (
-    <div className={cx("vd-bar", "vd-bar-listening", className)}>
-      <button
-        type="button"
-        className="vd-button vd-button-cancel"
-        onClick={onCancel}
-        disabled={disabled}
-        aria-label={cancelLabel}
-        title={cancelLabel}
-      >
-        X
-      </button>
-      <div className="vd-waveform" aria-hidden>
-        {waveform.map((level, index) => (
-          <span
-            // Using index is acceptable here because bars represent transient visualization.
-            key={index}
-            className="vd-wave"
-            style={{
-              height: `${Math.max(2, level * 40)}px`,
-              opacity: level > 0.01 ? 0.85 : 0.18,
-            }}
-          />
-        ))}
-      </div>
-      <span className="vd-time">{formatElapsed(elapsed)}</span>
-      <button
-        type="button"
-        className="vd-button vd-button-confirm"
-        onClick={onConfirm}
-        disabled={disabled}
-        aria-label={confirmLabel}
-        title={confirmLabel}
-      >
-        OK
-      </button>
-    </div>
+    <>
+      <VoiceDraft.StartButton className="vd-button vd-button-start" />
+      {hint && <span className={cx("vd-hint", status === "error" && "vd-hint-error")}>{hint}</span>}
+    </>
+  );
+}
+
+function SessionLayout({ review }: BarLayoutProps) {
+  const { status, draftText, labels } = useVoiceDraftContext();
+  const paused = status === "paused";
+
+  return (
+    <>
+      <VoiceDraft.CancelButton className="vd-button vd-button-cancel" />
+      {status === "requesting-permission" ? (
+        <span className="vd-hint vd-status">{labels.requestingPermission}</span>
+      ) : paused ? (
+        <span className="vd-hint vd-status">{labels.paused}</span>
+      ) : review && draftText ? (
+        <VoiceDraft.Transcript className="vd-live-text" />
+      ) : (
+        <VoiceDraft.Waveform />
+      )}
+      {(status === "listening" || paused) && (
+        <VoiceDraft.PauseButton className={cx("vd-button", paused ? "vd-button-resume" : "vd-button-pause")} />
+      )}
+      <VoiceDraft.Timer className="vd-time" />
+      <VoiceDraft.ConfirmButton className="vd-button vd-button-confirm" />
+    </>
+  );
+}
+
+type BarLayoutProps = Pick<VoiceDraftBarProps, "review" | "recording" | "onInsert" | "onDiscard" | "onRerecord">;
+
+// The default composition of the VoiceDraft parts.
+export function VoiceDraftBar({
+  review,
+  recording,
+  onInsert,
+  onDiscard,
+  onRerecord,
+  className,
+  ...rootProps
+}: VoiceDraftBarProps) {
+  const status = rootProps.status ?? (rootProps.listening ? "listening" : "idle");
+  const layout = { review, recording, onInsert, onDiscard, onRerecord };
+  const variant =
+    review && status === "review"
+      ? "review"
+      : status === "idle" || status === "review" || status === "error"
+        ? "idle"
+        : "listening";
+
+  return (
+    <VoiceDraft.Root {...rootProps} className={cx("vd-bar", `vd-bar-${variant}`, variant !== status && `vd-bar-${status}`, className)}>
+      {variant === "review" ? (
+        <ReviewLayout {...layout} />
+      ) : variant === "idle" ? (
+        <IdleLayout />
+      ) : (
+        <SessionLayout {...layout} />
+      )}
+    </VoiceDraft.Root>
   );
 }
@@ -0,0 +1,515 @@
+"use client";
+
+import {
+  createContext,
+  useContext,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+  type HTMLAttributes,
+  type PointerEvent as ReactPointerEvent,
+} from "react";
+import { joinTranscript } from "../core/transcript.js";
+import type { VoiceDraftStatus } from "../core/status.js";
+import type { VoiceDraftSegment, VoiceDraftStopReason } from "../core/types.js";
+import { CancelIcon, ConfirmIcon, MicIcon, PauseIcon, ResumeIcon } from "./icons.js";
+import { getVoiceDraftLabels, type VoiceDraftLabels } from "./labels.js";
+import type {
+  VoiceDraftButtonProps,
+  VoiceDraftContextValue,
+  VoiceDraftMode,
+  VoiceDraftRootProps,
+  VoiceDraftTimerProps,
+  VoiceDraftTranscriptProps,
+  VoiceDraftWaveformProps,
+} from "./types.js";
+import { VoiceDraftWaveform } from "./voice-draft-waveform.js";
+import { cx } from "../utils/class-names.js";
+import { formatElapsed } from "../utils/format.js";
+
+const DEFAULT_LOW_CONFIDENCE_THRESHOLD = 0.5;
+// Holding the Mic button at least this long confirms on release, even in "toggle" mode.
+const LONG_PRESS_MS = 400;
+const TRANSCRIPT_ANNOUNCE_MS = 1500;
+
+interface HighlightPart {
+  text: string;
+  low: boolean;
+}
+
+// Splits the draft into runs by segment confidence. Returns null once the text has been edited,
+// because the segments no longer line up with it.
+function highlightParts(segments: VoiceDraftSegment[], text: string, threshold: number): HighlightPart[] | null {
+  const parts: HighlightPart[] = [];
+  let joined = "";
+  for (const segment of segments) {
+    const next = joinTranscript(joined, segment.text);
+    const added = next.slice(joined.length);
+    const gap = joined && added.startsWith(" ") ? " " : "";
+    parts.push({ text: gap, low: false });
+    parts.push({ text: added.slice(gap.length), low: segment.confidence !== null && segment.confidence < threshold });
+    joined = next;
+  }
+  return joined === text && parts.some((part) => part.low) ? parts : null;
+}
+
+// The highlights sit behind a transparent textarea; the `vd-review-*` classes line them up.
+function ReviewField({
+  className,
+  inputClassName,
+  value,
+  label,
+  disabled,
+  highlights,
+  onChange,
+  attributes,
+}: {
+  className?: string;
+  inputClassName?: string;
+  value: string;
+  label: string;
+  disabled?: boolean;
+  highlights: HighlightPart[] | null;
+  onChange?: (text: string) => void;
+  attributes?: HTMLAttributes<HTMLDivElement> & Record<`data-${string}`, unknown>;
+}) {
+  const backdrop = useRef<HTMLDivElement>(null);
+
+  return (
+    <div {...attributes} className={cx("vd-review-field", className)}>
+      {highlights && (
+        <div ref={backdrop} className="vd-review-highlights" aria-hidden>
+          {highlights.map((part, index) =>
+            part.low ? (
+              <mark key={index} className="vd-low-confidence">
+                {part.text}
+              </mark>
+            ) : (
+              part.text
+            ),
+          )}
+        </div>
+      )}
+      <textarea
+        className={cx("vd-review-input", inputClassName)}
+        value={value}
+        onChange={(event) => onChange?.(event.target.value)}
+        onScroll={(event) => {
+          if (backdrop.current) {
+            backdrop.current.scrollTop = event.currentTarget.scrollTop;
+          }
+        }}
+        readOnly={!onChange}
+        disabled={disabled}
+        aria-label={label}
+        rows={2}
+        autoFocus
+      />
+    </div>
+  );
+}
+
+// Starts on press and confirms on release (push-to-talk, or any long press). Root owns the press
+// and watches the release on the window, because layouts such as VoiceDraftBar unmount the Mic
+// button as soon as the session starts.
+function usePressToTalk(mode: VoiceDraftMode, onStart: () => void, onConfirm: () => void | Promise<unknown>) {
+  const release = useRef<(() => void) | null>(null);
+  const latestConfirm = useRef(onConfirm);
+  latestConfirm.current = onConfirm;
+
+  useEffect(() => () => release.current?.(), []);
+
+  return (event: ReactPointerEvent<HTMLButtonElement>) => {
+    if (event.button !== 0 || event.currentTarget.disabled) {
+      return;
+    }
+    // Keeps focus in the field being dictated into.
+    event.preventDefault();
+    release.current?.();
+    const { pointerId, timeStamp: pressedAt } = event;
+
+    const onRelease = (up: PointerEvent) => {
+      if (up.pointerId !== pointerId) {
+        return;
+      }
+      release.current?.();
+      if (mode === "push-to-talk" || up.timeStamp - pressedAt >= LONG_PRESS_MS) {
+        void latestConfirm.current();
+      }
+    };
+    window.addEventListener("pointerup", onRelease);
+    window.addEventListener("pointercancel", onRelease);
+    release.current = () => {
+      window.removeEventListener("pointerup", onRelease);
+      window.removeEventListener("pointercancel", onRelease);
+      release.current = null;
+    };
+    onStart();
+  };
+}
+
+function statusAnnouncement(
+  status: VoiceDraftStatus,
+  previous: VoiceDraftStatus,
+  stopReason: VoiceDraftStopReason | null,
+  labels: VoiceDraftLabels,
+): string | null {
+  switch (status) {
+    case "requesting-permission":
+      return labels.requestingPermission;
+    case "listening":
+      return previous === "paused" ? labels.resumed : labels.started;
+    case "paused":
+      return labels.paused;
+    case "finalizing":
+      return stopReason === "silence"
+        ? labels.autoStopped
+        : stopReason === "max-duration"
+          ? labels.limitReached
+          : labels.stopped;
+    case "error":
+      return labels.error;
+    case "idle":
+      return previous === "requesting-permission" || previous === "listening" || previous === "paused"
+        ? labels.cancelled
+        : null;
+    default:
+      return null;
+  }
+}
+
+// Text for the live region: status changes, the countdown warning, and what was said since the
+// last announcement, at most once per TRANSCRIPT_ANNOUNCE_MS so speech output can keep up.
+function useAnnouncement({
+  status,
+  stopReason,
+  limitApproaching,
+  remaining,
+  draftText,
+  announceTranscript,
+  labels,
+}: {
+  status: VoiceDraftStatus;
+  stopReason: VoiceDraftStopReason | null;
+  limitApproaching: boolean;
+  remaining: number | null;
+  draftText: string;
+  announceTranscript: boolean;
+  labels: VoiceDraftLabels;
+}): string {
+  const [message, setMessage] = useState("");
+  const previousStatus = useRef(status);
+  const announced = useRef(draftText);
+  const latestText = useRef(draftText);
+  const lastAnnouncedAt = useRef(0);
+  const warned = useRef(false);
+  const timer = useRef<ReturnType<typeof setTimeout> | undefined>(undefined);
+  latestText.current = draftText;
+
+  useEffect(() => {
+    const previous = previousStatus.current;
+    if (previous === status) {
+      return;
+    }
+    previousStatus.current = status;
+    if (status === "listening" && previous !== "paused") {
+      announced.current = latestText.current;
+    }
+    const next = statusAnnouncement(status, previous, stopReason, labels);
+    if (next !== null) {
+      setMessage(next);
+    }
+  }, [status, stopReason, labels]);
+
+  useEffect(() => {
+    // Announced once when the warning starts, not on every countdown tick.
+    if (limitApproaching && !warned.current && remaining !== null) {
+      setMessage(labels.limitApproaching.replace("{seconds}", String(remaining)));
+    }
+    warned.current = limitApproaching;
+  }, [limitApproaching, remaining, labels]);
+
+  useEffect(() => {
+    if (!announceTranscript || status !== "listening" || draftText === announced.current || timer.current) {
+      return;
+    }
+    const wait = Math.max(0, lastAnnouncedAt.current + TRANSCRIPT_ANNOUNCE_MS - Date.now());
+    timer.current = setTimeout(() => {
+      timer.current = undefined;
+      const text = latestText.current;
+      const added = text.startsWith(announced.current) ? text.slice(announced.current.length).trim() : text;
+      announced.current = text;
+      lastAnnouncedAt.current = Date.now();
+      if (added) {
+        setMessage(added);
+      }
+    }, wait);
+  }, [announceTranscript, status, draftText]);
+
+  useEffect(() => {
+    if (status !== "listening") {
+      clearTimeout(timer.current);
+      timer.current = undefined;
+    }
+  }, [status]);
+
+  useEffect(() => () => clearTimeout(timer.current), []);
+
+  return message;
+}
+
+const VoiceDraftContext = createContext<VoiceDraftContextValue | null>(null);
+
+export function useVoiceDraftContext(): VoiceDraftContextValue {
+  const context = useContext(VoiceDraftContext);
+  if (!context) {
+    throw new Error("VoiceDraft parts must be rendered inside <VoiceDraft.Root>.");
+  }
+  return context;
+}
+
+function isRunning(status: VoiceDraftStatus): boolean {
+  return status === "listening" || status === "paused";
+}
+
+// Renders a <div> with the session's data attributes and the live region, and shares the
+// state with the parts inside it.
+function Root({
+  status: statusProp,
+  mode = "toggle",
+  listening,
+  canTranscribe,
+  meter,
+  elapsed,
+  disabled = false,
+  className,
+  children,
+  onStart,
+  onCancel,
+  onConfirm,
+  onPause,
+  onResume,
+  remaining = null,
+  limitApproaching = false,
+  draftText = "",
+  segments,
+  lowConfidenceThreshold = DEFAULT_LOW_CONFIDENCE_THRESHOLD,
+  onDraftTextChange,
+  locale = "en-US",
+  labels,
+  stopReason = null,
+  announceTranscript = true,
+}: VoiceDraftRootProps) {
+  const status = statusProp ?? (listening ? "listening" : "idle");
+  const resolvedLabels = useMemo(() => ({ ...getVoiceDraftLabels(locale), ...labels }), [locale, labels]);
+  const announcement = useAnnouncement({
+    status,
+    stopReason,
+    limitApproaching,
+    remaining,
+    draftText,
+    announceTranscript,
+    labels: resolvedLabels,
+  });
+  const onStartPress = usePressToTalk(mode, onStart, onConfirm);
+  const value: VoiceDraftContextValue = {
+    status,
+    mode,
+    listening,
+    canTranscribe,
+    meter,
+    elapsed,
+    disabled,
+    onStart,
+    onStartPress,
+    onCancel,
+    onConfirm,
+    onPause,
+    onResume,
+    remaining,
+    limitApproaching,
+    draftText,
+    segments,
+    lowConfidenceThreshold,
+    onDraftTextChange,
+    labels: resolvedLabels,
+  };
+
+  return (
+    <VoiceDraftContext.Provider value={value}>
+      <div
+        className={className}
+        data-status={status}
+        data-mode={mode}
+        data-disabled={disabled || undefined}
+        data-limit-approaching={(limitApproaching && isRunning(status)) || undefined}
+        aria-busy={status === "requesting-permission" || status === "finalizing" || undefined}
+      >
+        <span className="vd-sr-only" role="status" aria-live="polite" aria-atomic="true">
+          {announcement}
+        </span>
+        {children}
+      </div>
+    </VoiceDraftContext.Provider>
+  );
+}
+
+// Starts on click or keyboard; pointer presses follow `mode` (see usePressToTalk).
+function StartButton({ children, disabled, ...props }: VoiceDraftButtonProps) {
+  const context = useVoiceDraftContext();
+  const { status, mode, canTranscribe, labels } = context;
+  const label = mode === "push-to-talk" ? labels.pushToTalk : labels.start;
+
+  return (
+    <button
+      type="button"
+      aria-label={label}
+      title={canTranscribe ? label : labels.unsupported}
+      {...props}
+      // Pointer presses start on pointerdown; clicks without a pointer come from the keyboard.
+      onClick={(event) => event.detail === 0 && context.onStart()}
+      onPointerDown={context.onStartPress}
+      onContextMenu={(event) => event.preventDefault()}
+      disabled={
+        disabled ||
+        context.disabled ||
+        !canTranscribe ||
+        (status !== "idle" && status !== "review" && status !== "error")
+      }
+      data-status={status}
+    >
+      {children ?? <MicIcon />}
+    </button>
+  );
+}
+
+function CancelButton({ children, disabled, ...props }: VoiceDraftButtonProps) {
+  const { status, labels, onCancel, ...context } = useVoiceDraftContext();
+
+  return (
+    <button
+      type="button"
+      aria-label={labels.cancel}
+      title={labels.cancel}
+      {...props}
+      onClick={onCancel}
+      disabled={disabled || context.disabled || (status !== "requesting-permission" && !isRunning(status))}
+      data-status={status}
+    >
+      {children ?? <CancelIcon />}
+    </button>
+  );
+}
+
+function ConfirmButton({ children, disabled, ...props }: VoiceDraftButtonProps) {
+  const { status, labels, onConfirm, ...context } = useVoiceDraftContext();
+
+  return (
+    <button
+      type="button"
+      aria-label={labels.confirm}
+      title={labels.confirm}
+      {...props}
+      onClick={() => void onConfirm()}
+      disabled={disabled || context.disabled || !isRunning(status)}
+      data-status={status}
+    >
+      {children ?? <ConfirmIcon />}
+    </button>
+  );
+}
+
+// A toggle: `aria-pressed` and `data-paused` are set while paused. Renders nothing without
+// `onPause` and `onResume` on the root.
+function PauseButton({ children, disabled, ...props }: VoiceDraftButtonProps) {
+  const { status, labels, onPause, onResume, ...context } = useVoiceDraftContext();
+  if (!onPause || !onResume) {
+    return null;
+  }
+  const paused = status === "paused";
+
+  return (
+    <button
+      type="button"
+      aria-label={labels.pause}
+      title={paused ? labels.resume : labels.pause}
+      {...props}
+      onClick={paused ? onResume : onPause}
+      disabled={disabled || context.disabled || !isRunning(status)}
+      aria-pressed={paused}
+      data-status={status}
+      data-paused={paused || undefined}
+    >
+      {children ?? (paused ? <ResumeIcon /> : <PauseIcon />)}
+    </button>
+  );
+}
+
+function Waveform(props: Partial<VoiceDraftWaveformProps>) {
+  const { meter, labels } = useVoiceDraftContext();
+  return <VoiceDraftWaveform meter={meter} label={labels.waveform} {...props} />;
+}
+
+// Elapsed time; counts down once the limit approaches and reads "Finalizing…" while finalizing.
+function Timer({ children, ...props }: VoiceDraftTimerProps) {
+  const { status, elapsed, remaining, limitApproaching, labels } = useVoiceDraftContext();
+  const finalizing = status === "finalizing";
+  const countdown = limitApproaching && remaining !== null && !finalizing;
+
+  return (
+    <span
+      title={countdown ? labels.remaining : undefined}
+      {...props}
+      data-status={status}
+      data-countdown={countdown || undefined}
+    >
+      {children ?? (finalizing ? labels.finalizing : countdown ? `-${formatElapsed(remaining)}` : formatElapsed(elapsed))}
+    </span>
+  );
+}
+
+// The live draft while recording; in review an editable field when the root has
+// `onDraftTextChange`, with low-confidence words underlined.
+function Transcript({ className, inputClassName, children, ...props }: VoiceDraftTranscriptProps) {
+  const { status, draftText, segments, lowConfidenceThreshold, onDraftTextChange, labels, ...context } =
+    useVoiceDraftContext();
+
+  if (status === "review") {
+    return (
+      <ReviewField
+        className={className}
+        inputClassName={inputClassName}
+        value={draftText}
+        label={labels.transcript}
+        disabled={context.disabled}
+        highlights={segments ? highlightParts(segments, draftText, lowConfidenceThreshold) : null}
+        onChange={onDraftTextChange}
+        attributes={{ ...props, "data-status": status, "data-empty": !draftText || undefined }}
+      />
+    );
+  }
+
+  return (
+    <span
+      className={className}
+      title={draftText || undefined}
+      {...props}
+      data-status={status}
+      data-empty={!draftText || undefined}
+    >
+      {children ?? draftText}
+    </span>
+  );
+}
+
+export const VoiceDraft = {
+  Root,
+  StartButton,
+  CancelButton,
+  ConfirmButton,
+  PauseButton,
+  Waveform,
+  Timer,
+  Transcript,
+};
@@ -0,0 +1,137 @@
+"use client";
+
+import { useEffect, useRef } from "react";
+import type { VoiceDraftWaveformProps } from "./types.js";
+
+const DEFAULT_BAR_WIDTH = 2;
+const DEFAULT_BAR_GAP = 1;
+const MIN_BAR_HEIGHT = 2;
+// With reduced motion the scrolling bars become one level bar that updates at this pace.
+const REDUCED_MOTION_INTERVAL_MS = 250;
+const REDUCED_MOTION_QUERY = "(prefers-reduced-motion: reduce)";
+
+function cssLength(style: CSSStyleDeclaration, property: string, fallback: number): number {
+  const value = Number.parseFloat(style.getPropertyValue(property));
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+// Draws the meter straight onto a canvas. New samples schedule at most one draw per animation
+// frame, so the waveform never re-renders React.
+export function VoiceDraftWaveform({
+  meter,
+  className,
+  barWidth,
+  barGap,
+  label,
+}: VoiceDraftWaveformProps) {
+  const canvasRef = useRef<HTMLCanvasElement>(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const context = canvas?.getContext("2d");
+    if (!canvas || !context) {
+      return;
+    }
+
+    let frame = 0;
+    let timer: ReturnType<typeof setTimeout> | undefined;
+    let drawnVersion = -1;
+    let color = "";
+    let width = DEFAULT_BAR_WIDTH;
+    let gap = DEFAULT_BAR_GAP;
+    const motionQuery = typeof matchMedia === "function" ? matchMedia(REDUCED_MOTION_QUERY) : null;
+    let reducedMotion = motionQuery?.matches ?? false;
+
+    const drawLevel = () => {
+      const { height } = canvas;
+      const level = meter.length > 0 ? Math.min(1, meter.at(meter.length - 1)) : 0;
+      const barHeight = Math.max(MIN_BAR_HEIGHT, Math.round(height / 4));
+      context.clearRect(0, 0, canvas.width, height);
+      context.fillStyle = color;
+      context.globalAlpha = 0.18;
+      context.fillRect(0, (height - barHeight) / 2, canvas.width, barHeight);
+      context.globalAlpha = 0.85;
+      context.fillRect(0, (height - barHeight) / 2, canvas.width * level, barHeight);
+      context.globalAlpha = 1;
+    };
+
+    const draw = () => {
+      frame = 0;
+      timer = undefined;
+      if (drawnVersion === meter.version) {
+        return;
+      }
+      drawnVersion = meter.version;
+      if (reducedMotion) {
+        drawLevel();
+        return;
+      }
+
+      const ratio = window.devicePixelRatio || 1;
+      const step = (width + gap) * ratio;
+      const count = Math.min(meter.length, Math.floor(canvas.width / step));
+      const { height } = canvas;
+
+      context.clearRect(0, 0, canvas.width, height);
+      context.fillStyle = color;
+      for (let index = 0; index < count; index += 1) {
+        const level = meter.at(meter.length - 1 - index);
+        const barHeight = Math.max(MIN_BAR_HEIGHT * ratio, Math.min(1, level) * height);
+        context.globalAlpha = level > 0.01 ? 0.85 : 0.18;
+        context.fillRect(canvas.width - (index + 1) * step + gap * ratio, (height - barHeight) / 2, width * ratio, barHeight);
+      }
+      context.globalAlpha = 1;
+    };
+
+    const schedule = () => {
+      if (reducedMotion) {
+        timer ??= setTimeout(draw, REDUCED_MOTION_INTERVAL_MS);
+      } else if (!frame) {
+        frame = requestAnimationFrame(draw);
+      }
+    };
+
+    const onMotionChange = (event: MediaQueryListEvent) => {
+      reducedMotion = event.matches;
+      drawnVersion = -1;
+      schedule();
+    };
+
+    const resize = () => {
+      const ratio = window.devicePixelRatio || 1;
+      const rect = canvas.getBoundingClientRect();
+      canvas.width = Math.round(rect.width * ratio);
+      canvas.height = Math.round(rect.height * ratio);
+      const style = getComputedStyle(canvas);
+      color = style.color;
+      width = barWidth ?? cssLength(style, "--vd-wave-bar-width", DEFAULT_BAR_WIDTH);
+      gap = barGap ?? cssLength(style, "--vd-wave-gap", DEFAULT_BAR_GAP);
+      drawnVersion = -1;
+      schedule();
+    };
+
+    const observer = typeof ResizeObserver === "undefined" ? null : new ResizeObserver(resize);
+    observer?.observe(canvas);
+    motionQuery?.addEventListener("change", onMotionChange);
+    resize();
+    const unsubscribe = meter.subscribe(schedule);
+
+    return () => {
+      unsubscribe();
+      observer?.disconnect();
+      motionQuery?.removeEventListener("change", onMotionChange);
+      cancelAnimationFrame(frame);
+      clearTimeout(timer);
+    };
+  }, [meter, barWidth, barGap]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      className={className ? `vd-waveform ${className}` : "vd-waveform"}
+      role={label ? "img" : undefined}
+      aria-label={label}
+      aria-hidden={label ? undefined : true}
+    />
+  );
+}
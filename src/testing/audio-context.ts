@@ -0,0 +1,174 @@
+import type { FakeClock } from "./clock.js";
+import type { FakeMicrophone } from "./microphone.js";
+import { createFakeStream, isStreamAudible } from "./microphone.js";
+
+export interface FakeAudioOptions {
+  sampleRate?: number;
+  // Pitch of the synthetic voice. The default sits in the speech band the noise gate listens for.
+  toneHz?: number;
+}
+
+export interface FakeAudio {
+  AudioContext: typeof AudioContext;
+  contexts: AudioContext[];
+  // Whether any context has not been closed.
+  isOpen: () => boolean;
+}
+
+const DEFAULT_SAMPLE_RATE = 48_000;
+const DEFAULT_TONE_HZ = 440;
+const SPEECH_BAND_HZ = [300, 3400] as const;
+
+interface FakeNode {
+  inputs: Set<FakeSource>;
+}
+
+interface FakeSource {
+  stream: MediaStream;
+  outputs: Set<FakeNode>;
+}
+
+// The microphone's level reaches an analyser through any source connected to it.
+function isAudible(node: FakeNode): boolean {
+  return [...node.inputs].some((source) => isStreamAudible(source.stream));
+}
+
+// No `audioWorklet`: the controller falls back to polling the analyser every animation frame, and
+// features that need worklets (recording, streaming PCM) are unavailable.
+export function createFakeAudio(clock: FakeClock, microphone: FakeMicrophone, options: FakeAudioOptions = {}): FakeAudio {
+  const toneHz = options.toneHz ?? DEFAULT_TONE_HZ;
+  const contexts: FakeAudioContext[] = [];
+
+  class FakeAnalyserNode implements FakeNode {
+    readonly inputs = new Set<FakeSource>();
+    readonly context: FakeAudioContext;
+    smoothingTimeConstant = 0.8;
+    minDecibels = -100;
+    maxDecibels = -30;
+    private size = 2048;
+
+    constructor(context: FakeAudioContext) {
+      this.context = context;
+    }
+
+    get fftSize(): number {
+      return this.size;
+    }
+
+    set fftSize(value: number) {
+      this.size = value;
+    }
+
+    get frequencyBinCount(): number {
+      return this.size / 2;
+    }
+
+    private level(): number {
+      return this.context.state === "running" && isAudible(this) ? microphone.level() : 0;
+    }
+
+    // A sine at `toneHz`, continuous across calls.
+    getByteTimeDomainData(data: Uint8Array): void {
+      const level = this.level();
+      const start = clock.now() / 1000;
+      for (let index = 0; index < data.length; index += 1) {
+        const time = start + index / this.context.sampleRate;
+        data[index] = Math.round(128 + 127 * level * Math.sin(2 * Math.PI * toneHz * time));
+      }
+    }
+
+    getFloatTimeDomainData(data: Float32Array): void {
+      const level = this.level();
+      const start = clock.now() / 1000;
+      for (let index = 0; index < data.length; index += 1) {
+        data[index] = level * Math.sin(2 * Math.PI * toneHz * (start + index / this.context.sampleRate));
+      }
+    }
+
+    // Energy across the speech band, scaled by the level; silence elsewhere.
+    getByteFrequencyData(data: Uint8Array): void {
+      const level = this.level();
+      const binHz = this.context.sampleRate / 2 / data.length;
+      for (let index = 0; index < data.length; index += 1) {
+        const hz = index * binHz;
+        data[index] = hz >= SPEECH_BAND_HZ[0] && hz <= SPEECH_BAND_HZ[1] ? Math.round(255 * level) : 0;
+      }
+    }
+
+    connect<T>(destination: T): T {
+      return destination;
+    }
+
+    disconnect(): void {}
+  }
+
+  class FakeAudioContext extends EventTarget {
+    readonly sampleRate: number;
+    readonly destination = { inputs: new Set<FakeSource>() };
+    state: AudioContextState = "running";
+
+    constructor(contextOptions: AudioContextOptions = {}) {
+      super();
+      this.sampleRate = contextOptions.sampleRate ?? options.sampleRate ?? DEFAULT_SAMPLE_RATE;
+      contexts.push(this);
+    }
+
+    get currentTime(): number {
+      return clock.now() / 1000;
+    }
+
+    createAnalyser(): FakeAnalyserNode {
+      return new FakeAnalyserNode(this);
+    }
+
+    createMediaStreamSource(stream: MediaStream) {
+      const source: FakeSource = { stream, outputs: new Set() };
+      return {
+        mediaStream: stream,
+        connect: <T>(node: T): T => {
+          const target = node as Partial<FakeNode> | null;
+          if (target?.inputs instanceof Set) {
+            target.inputs.add(source);
+            source.outputs.add(target as FakeNode);
+          }
+          return node;
+        },
+        disconnect: () => {
+          for (const node of source.outputs) {
+            node.inputs.delete(source);
+          }
+          source.outputs.clear();
+        },
+      };
+    }
+
+    createMediaStreamDestination() {
+      return { inputs: new Set<FakeSource>(), stream: createFakeStream() };
+    }
+
+    async resume(): Promise<void> {
+      this.setState("running");
+    }
+
+    async suspend(): Promise<void> {
+      this.setState("suspended");
+    }
+
+    async close(): Promise<void> {
+      this.setState("closed");
+    }
+
+    private setState(state: AudioContextState): void {
+      if (this.state !== "closed" && this.state !== state) {
+        this.state = state;
+        this.dispatchEvent(new Event("statechange"));
+      }
+    }
+  }
+
+  return {
+    AudioContext: FakeAudioContext as unknown as typeof AudioContext,
+    contexts: contexts as unknown as AudioContext[],
+    isOpen: () => contexts.some((context) => context.state !== "closed"),
+  };
+}
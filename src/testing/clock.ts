@@ -0,0 +1,127 @@
+export interface FakeClockOptions {
+  // What `Date.now()` returns before the clock moves.
+  epoch?: number;
+  // Animation frames run this often.
+  frameMs?: number;
+}
+
+export interface FakeClock {
+  // Milliseconds since the clock was created, as `performance.now()` reports it.
+  now: () => number;
+  // Moves time forward, running due timers and animation frames in order and settling promises
+  // after each one.
+  advance: (ms: number) => Promise<void>;
+  // Settles pending promises without moving time.
+  flush: () => Promise<void>;
+  // Timers and frames still scheduled.
+  pending: () => number;
+  setTimeout: (callback: (...args: unknown[]) => void, ms?: number, ...args: unknown[]) => number;
+  clearTimeout: (id?: number) => void;
+  setInterval: (callback: (...args: unknown[]) => void, ms?: number, ...args: unknown[]) => number;
+  clearInterval: (id?: number) => void;
+  requestAnimationFrame: (callback: FrameRequestCallback) => number;
+  cancelAnimationFrame: (id: number) => void;
+  // A `Date` whose `now()` and no-argument constructor follow the clock from `epoch`.
+  Date: DateConstructor;
+}
+
+interface Timer {
+  id: number;
+  at: number;
+  run: () => void;
+  // Re-armed after it runs, for setInterval.
+  every: number | null;
+}
+
+const DEFAULT_FRAME_MS = 16;
+
+// Captured before anything is faked, so flushing always reaches the real event loop.
+const realSetTimeout = globalThis.setTimeout;
+const realSetImmediate = (globalThis as { setImmediate?: (callback: () => void) => unknown }).setImmediate ?? null;
+const RealDate = Date;
+
+function macrotask(): Promise<void> {
+  return new Promise((resolve) => {
+    if (realSetImmediate) {
+      realSetImmediate(resolve);
+    } else {
+      realSetTimeout(resolve, 0);
+    }
+  });
+}
+
+function createDate(now: () => number): DateConstructor {
+  function FakeDate(this: unknown, ...args: unknown[]) {
+    if (!new.target) {
+      return new RealDate(now()).toString();
+    }
+    return args.length === 0 ? new RealDate(now()) : Reflect.construct(RealDate, args);
+  }
+  FakeDate.prototype = RealDate.prototype;
+  return Object.assign(FakeDate, { now, parse: RealDate.parse, UTC: RealDate.UTC }) as unknown as DateConstructor;
+}
+
+export function createFakeClock(options: FakeClockOptions = {}): FakeClock {
+  const epoch = options.epoch ?? 0;
+  const frameMs = options.frameMs ?? DEFAULT_FRAME_MS;
+  const timers = new Map<number, Timer>();
+  let now = 0;
+  let nextId = 1;
+
+  const schedule = (run: () => void, ms: number, every: number | null): number => {
+    const id = nextId;
+    nextId += 1;
+    timers.set(id, { id, at: now + Math.max(0, ms), run, every });
+    return id;
+  };
+
+  // Earliest first; timers due at the same time run in the order they were scheduled.
+  const nextDue = (until: number): Timer | null => {
+    let due: Timer | null = null;
+    for (const timer of timers.values()) {
+      if (timer.at <= until && (!due || timer.at < due.at || (timer.at === due.at && timer.id < due.id))) {
+        due = timer;
+      }
+    }
+    return due;
+  };
+
+  const clock: FakeClock = {
+    now: () => now,
+    advance: async (ms) => {
+      const until = now + Math.max(0, ms);
+      await macrotask();
+      for (let timer = nextDue(until); timer; timer = nextDue(until)) {
+        now = Math.max(now, timer.at);
+        if (timer.every === null) {
+          timers.delete(timer.id);
+        } else {
+          timer.at = now + Math.max(1, timer.every);
+        }
+        timer.run();
+        await macrotask();
+      }
+      now = until;
+      await macrotask();
+    },
+    flush: macrotask,
+    pending: () => timers.size,
+    setTimeout: (callback, ms = 0, ...args) => schedule(() => callback(...args), ms, null),
+    clearTimeout: (id) => {
+      if (id !== undefined) {
+        timers.delete(id);
+      }
+    },
+    setInterval: (callback, ms = 0, ...args) => schedule(() => callback(...args), ms, ms),
+    clearInterval: (id) => clock.clearTimeout(id),
+    requestAnimationFrame: (callback) => {
+      // Frames land on the next multiple of `frameMs`, like a display refresh.
+      const at = (Math.floor(now / frameMs) + 1) * frameMs;
+      return schedule(() => callback(now), at - now, null);
+    },
+    cancelAnimationFrame: (id) => clock.clearTimeout(id),
+    Date: createDate(() => epoch + now),
+  };
+
+  return clock;
+}
@@ -0,0 +1,13 @@
+// Replaces a global (or a property of one) and returns a function that puts the original back,
+// including properties that were missing or defined with a getter.
+export function replaceProperty(target: object, key: PropertyKey, value: unknown): () => void {
+  const original = Object.getOwnPropertyDescriptor(target, key);
+  Object.defineProperty(target, key, { value, configurable: true, writable: true, enumerable: original?.enumerable ?? true });
+  return () => {
+    if (original) {
+      Object.defineProperty(target, key, original);
+    } else {
+      delete (target as Record<PropertyKey, unknown>)[key];
+    }
+  };
+}
@@ -0,0 +1,112 @@
+import { createFakeAudio } from "./audio-context.js";
+import type { FakeAudio, FakeAudioOptions } from "./audio-context.js";
+import { createFakeClock } from "./clock.js";
+import type { FakeClock, FakeClockOptions } from "./clock.js";
+import { replaceProperty } from "./globals.js";
+import { createFakeMicrophone } from "./microphone.js";
+import type { FakeMicrophone, FakeMicrophoneOptions } from "./microphone.js";
+import { createFakeSpeech } from "./speech-recognition.js";
+import type { FakeSpeech } from "./speech-recognition.js";
+
+export { createFakeAudio } from "./audio-context.js";
+export type { FakeAudio, FakeAudioOptions } from "./audio-context.js";
+export { createFakeClock } from "./clock.js";
+export type { FakeClock, FakeClockOptions } from "./clock.js";
+export { createFakeMicrophone, createFakeStream } from "./microphone.js";
+export type { FakeLevelStep, FakeMicrophone, FakeMicrophoneOptions, FakeMicrophonePermission } from "./microphone.js";
+export { createFakeSpeech } from "./speech-recognition.js";
+export type {
+  FakeSpeech,
+  FakeSpeechAlternative,
+  FakeSpeechFinalOptions,
+  FakeSpeechGrammarList,
+  FakeSpeechRecognition,
+  FakeSpeechStep,
+} from "./speech-recognition.js";
+
+export interface VoiceDraftFakesOptions {
+  clock?: FakeClockOptions;
+  microphone?: FakeMicrophoneOptions;
+  audio?: FakeAudioOptions;
+  // false leaves SpeechRecognition undefined, as in Firefox.
+  speechRecognition?: boolean;
+  secureContext?: boolean;
+}
+
+export interface VoiceDraftFakes {
+  clock: FakeClock;
+  microphone: FakeMicrophone;
+  audio: FakeAudio;
+  speech: FakeSpeech;
+  // Restores every global the fakes replaced.
+  uninstall: () => void;
+}
+
+const TIMER_GLOBALS = [
+  "setTimeout",
+  "clearTimeout",
+  "setInterval",
+  "clearInterval",
+  "requestAnimationFrame",
+  "cancelAnimationFrame",
+  "Date",
+] as const;
+
+// Installs the fakes on globalThis (and `window`, `navigator` and `performance`, creating them
+// when missing) so the controller and hooks run unchanged in Node or jsdom.
+export function installVoiceDraftFakes(options: VoiceDraftFakesOptions = {}): VoiceDraftFakes {
+  const clock = createFakeClock(options.clock);
+  const microphone = createFakeMicrophone(clock, options.microphone);
+  const audio = createFakeAudio(clock, microphone, options.audio);
+  const speech = createFakeSpeech(clock);
+
+  const restores: Array<() => void> = [];
+  const replace = (target: object, key: PropertyKey, value: unknown) => {
+    restores.push(replaceProperty(target, key, value));
+  };
+  const globals = globalThis as Record<string, unknown>;
+
+  for (const key of TIMER_GLOBALS) {
+    replace(globalThis, key, clock[key]);
+  }
+  if (globals.performance) {
+    replace(globals.performance as object, "now", clock.now);
+  } else {
+    replace(globalThis, "performance", { now: clock.now });
+  }
+
+  if (!globals.window) {
+    replace(globalThis, "window", globalThis);
+  }
+  const win = globals.window as object;
+  replace(win, "isSecureContext", options.secureContext ?? true);
+  for (const key of ["SpeechRecognition", "webkitSpeechRecognition"]) {
+    replace(win, key, options.speechRecognition === false ? undefined : speech.SpeechRecognition);
+  }
+  for (const key of ["SpeechGrammarList", "webkitSpeechGrammarList"]) {
+    replace(win, key, options.speechRecognition === false ? undefined : speech.SpeechGrammarList);
+  }
+  replace(globalThis, "AudioContext", audio.AudioContext);
+
+  if (globals.navigator) {
+    replace(globals.navigator as object, "mediaDevices", microphone.mediaDevices);
+    replace(globals.navigator as object, "permissions", microphone.permissions);
+  } else {
+    replace(globalThis, "navigator", {
+      mediaDevices: microphone.mediaDevices,
+      permissions: microphone.permissions,
+      userAgent: "VoiceDraft fakes",
+      platform: "",
+    });
+  }
+
+  return {
+    clock,
+    microphone,
+    audio,
+    speech,
+    uninstall: () => {
+      restores.splice(0).reverse().forEach((restore) => restore());
+    },
+  };
+}
@@ -0,0 +1,226 @@
+import type { FakeClock } from "./clock.js";
+
+export type FakeMicrophonePermission = "granted" | "denied" | "prompt";
+
+export interface FakeMicrophoneOptions {
+  // Input device ids; the first is the system default. Defaults to ["default"].
+  devices?: string[];
+  permission?: FakeMicrophonePermission;
+  // How the user answers the prompt when `permission` is "prompt". Defaults to "granted".
+  promptResponse?: "granted" | "denied";
+  // Peak amplitude of the input signal, 0–1.
+  level?: number;
+}
+
+export interface FakeLevelStep {
+  // Milliseconds after `script()` is called.
+  at: number;
+  level: number;
+}
+
+export interface FakeMicrophone {
+  mediaDevices: MediaDevices;
+  permissions: Permissions;
+  // The `audio` constraints of every getUserMedia() call.
+  requests: Array<MediaTrackConstraints | boolean>;
+  streams: MediaStream[];
+  level: () => number;
+  setLevel: (level: number) => void;
+  script: (steps: FakeLevelStep[]) => void;
+  setPermission: (state: FakeMicrophonePermission) => void;
+  // Rejects the next getUserMedia() call with a DOMException of this name, e.g. "NotReadableError".
+  failNext: (name: string, message?: string) => void;
+  // Replaces the connected devices; tracks of removed ones end, as when a headset is unplugged.
+  setDevices: (deviceIds: string[]) => void;
+  // Whether any track is still live.
+  isCapturing: () => boolean;
+}
+
+class FakeMediaStreamTrack extends EventTarget {
+  readonly kind = "audio";
+  readonly id: string;
+  readonly label: string;
+  readonly deviceId: string;
+  enabled = true;
+  muted = false;
+  readyState: MediaStreamTrackState = "live";
+
+  constructor(id: string, deviceId: string) {
+    super();
+    this.id = id;
+    this.deviceId = deviceId;
+    this.label = `Fake microphone (${deviceId})`;
+  }
+
+  getSettings(): MediaTrackSettings {
+    return { deviceId: this.deviceId };
+  }
+
+  getConstraints(): MediaTrackConstraints {
+    return {};
+  }
+
+  stop(): void {
+    this.readyState = "ended";
+  }
+
+  // Ends the track from the device side, which also fires "ended".
+  end(): void {
+    if (this.readyState === "live") {
+      this.readyState = "ended";
+      this.dispatchEvent(new Event("ended"));
+    }
+  }
+}
+
+class FakeMediaStream extends EventTarget {
+  readonly id: string;
+  private readonly tracks: FakeMediaStreamTrack[];
+
+  constructor(id: string, tracks: FakeMediaStreamTrack[]) {
+    super();
+    this.id = id;
+    this.tracks = tracks;
+  }
+
+  get active(): boolean {
+    return this.tracks.some((track) => track.readyState === "live");
+  }
+
+  getTracks(): FakeMediaStreamTrack[] {
+    return [...this.tracks];
+  }
+
+  getAudioTracks(): FakeMediaStreamTrack[] {
+    return [...this.tracks];
+  }
+
+  getVideoTracks(): FakeMediaStreamTrack[] {
+    return [];
+  }
+}
+
+let nextStreamId = 1;
+
+// A live stream that is not tied to a microphone, e.g. a MediaStreamAudioDestinationNode's.
+export function createFakeStream(deviceId = "synthetic"): MediaStream {
+  const id = `fake-${nextStreamId}`;
+  nextStreamId += 1;
+  return new FakeMediaStream(id, [new FakeMediaStreamTrack(`${id}-audio`, deviceId)]) as unknown as MediaStream;
+}
+
+// Whether `stream` carries live, enabled audio.
+export function isStreamAudible(stream: MediaStream): boolean {
+  return stream.getAudioTracks().some((track) => track.readyState === "live" && track.enabled);
+}
+
+function requestedDeviceId(audio: MediaTrackConstraints | boolean | undefined): { id: string; exact: boolean } | null {
+  const constraint = typeof audio === "object" ? audio.deviceId : undefined;
+  if (typeof constraint === "string") {
+    return { id: constraint, exact: false };
+  }
+  if (constraint && typeof constraint === "object" && !Array.isArray(constraint)) {
+    const { exact, ideal } = constraint as ConstrainDOMStringParameters;
+    if (typeof exact === "string") {
+      return { id: exact, exact: true };
+    }
+    if (typeof ideal === "string") {
+      return { id: ideal, exact: false };
+    }
+  }
+  return null;
+}
+
+export function createFakeMicrophone(clock: FakeClock, options: FakeMicrophoneOptions = {}): FakeMicrophone {
+  const promptResponse = options.promptResponse ?? "granted";
+  const mediaDevices = new EventTarget();
+  const permissionStatus = Object.assign(new EventTarget(), { name: "microphone", state: options.permission ?? "prompt" });
+  const streams: FakeMediaStream[] = [];
+  const failures: DOMException[] = [];
+  let devices = options.devices ?? ["default"];
+  let level = options.level ?? 0;
+
+  const setPermission = (state: FakeMicrophonePermission) => {
+    if (permissionStatus.state !== state) {
+      permissionStatus.state = state;
+      permissionStatus.dispatchEvent(new Event("change"));
+    }
+  };
+
+  const getUserMedia = async (constraints: MediaStreamConstraints = {}): Promise<MediaStream> => {
+    const audio = constraints.audio ?? false;
+    microphone.requests.push(audio);
+    const failure = failures.shift();
+    if (failure) {
+      throw failure;
+    }
+    if (!audio) {
+      throw new TypeError("getUserMedia() needs audio in this fake.");
+    }
+    if (permissionStatus.state === "prompt") {
+      setPermission(promptResponse);
+    }
+    if (permissionStatus.state === "denied") {
+      throw new DOMException("Permission denied", "NotAllowedError");
+    }
+    if (devices.length === 0) {
+      throw new DOMException("Requested device not found", "NotFoundError");
+    }
+    const requested = requestedDeviceId(audio);
+    if (requested?.exact && !devices.includes(requested.id)) {
+      throw new DOMException("Requested device not found", "OverconstrainedError");
+    }
+    const deviceId = requested && devices.includes(requested.id) ? requested.id : devices[0];
+    const stream = createFakeStream(deviceId) as unknown as FakeMediaStream;
+    streams.push(stream);
+    return stream as unknown as MediaStream;
+  };
+
+  const enumerateDevices = async (): Promise<MediaDeviceInfo[]> =>
+    devices.map((deviceId, index) => {
+      // Browsers hide labels until the microphone permission is granted.
+      const label = permissionStatus.state === "granted" ? `Fake microphone ${index + 1}` : "";
+      const info = { deviceId, groupId: deviceId, kind: "audioinput" as const, label };
+      return { ...info, toJSON: () => info };
+    });
+
+  const query = async ({ name }: PermissionDescriptor): Promise<PermissionStatus> => {
+    if (name !== "microphone") {
+      throw new TypeError(`The fake only answers for "microphone", not "${name}".`);
+    }
+    return permissionStatus as unknown as PermissionStatus;
+  };
+
+  const microphone: FakeMicrophone = {
+    mediaDevices: Object.assign(mediaDevices, { getUserMedia, enumerateDevices }) as unknown as MediaDevices,
+    permissions: { query } as Permissions,
+    requests: [],
+    streams: streams as unknown as MediaStream[],
+    level: () => level,
+    setLevel: (value) => {
+      level = Math.min(1, Math.max(0, value));
+    },
+    script: (steps) => {
+      for (const step of steps) {
+        clock.setTimeout(() => microphone.setLevel(step.level), step.at);
+      }
+    },
+    setPermission,
+    failNext: (name, message = name) => {
+      failures.push(new DOMException(message, name));
+    },
+    setDevices: (deviceIds) => {
+      devices = [...deviceIds];
+      for (const stream of streams) {
+        for (const track of stream.getTracks()) {
+          if (!devices.includes(track.deviceId)) {
+            track.end();
+          }
+        }
+      }
+      mediaDevices.dispatchEvent(new Event("devicechange"));
+    },
+    isCapturing: () => streams.some((stream) => stream.active),
+  };
+  return microphone;
+}
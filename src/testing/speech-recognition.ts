@@ -0,0 +1,230 @@
+import type { FakeClock } from "./clock.js";
+
+export interface FakeSpeechAlternative {
+  transcript: string;
+  confidence?: number;
+}
+
+export interface FakeSpeechFinalOptions {
+  // Defaults to 0, which is how Chrome reports an unscored result.
+  confidence?: number;
+  alternatives?: FakeSpeechAlternative[];
+}
+
+// `at` is in milliseconds after `script()` is called.
+export type FakeSpeechStep =
+  | { at: number; interim: string }
+  | ({ at: number; final: string } & FakeSpeechFinalOptions)
+  | { at: number; error: string; message?: string }
+  | { at: number; end: true };
+
+export interface FakeSpeechRecognition extends EventTarget {
+  lang: string;
+  continuous: boolean;
+  interimResults: boolean;
+  maxAlternatives: number;
+  grammars: FakeSpeechGrammarList | null;
+  // Whether start() was called and the session has not ended.
+  running: boolean;
+  // How many times start() was called, including restarts after the engine ended.
+  starts: number;
+  aborted: boolean;
+}
+
+export interface FakeSpeechGrammarList {
+  length: number;
+  grammars: Array<{ src: string; weight: number }>;
+  addFromString: (src: string, weight?: number) => void;
+  addFromURI: (src: string, weight?: number) => void;
+}
+
+export interface FakeSpeech {
+  SpeechRecognition: new () => FakeSpeechRecognition;
+  SpeechGrammarList: new () => FakeSpeechGrammarList;
+  instances: FakeSpeechRecognition[];
+  // The recognizer that is running, if any.
+  active: () => FakeSpeechRecognition | null;
+  // These act on the running recognizer and return false when there is none.
+  interim: (transcript: string) => boolean;
+  final: (transcript: string, options?: FakeSpeechFinalOptions) => boolean;
+  // Reports an error such as "network" or "not-allowed"; like browsers, the session then ends.
+  error: (code: string, message?: string) => boolean;
+  // Ends the session as the engine does after a long pause.
+  end: () => boolean;
+  script: (steps: FakeSpeechStep[]) => void;
+}
+
+interface ResultEntry {
+  alternatives: FakeSpeechAlternative[];
+  isFinal: boolean;
+}
+
+// Array-like like SpeechRecognitionResultList, with `item()`.
+function toList<T>(items: T[], extra: object = {}): ArrayLike<T> & { item: (index: number) => T } {
+  return Object.assign({ ...items }, extra, { length: items.length, item: (index: number) => items[index] });
+}
+
+function toResultList(entries: ResultEntry[]) {
+  return toList(
+    entries.map(({ alternatives, isFinal }) =>
+      toList(
+        alternatives.map(({ transcript, confidence }) => ({ transcript, confidence: confidence ?? 0 })),
+        { isFinal },
+      ),
+    ),
+  );
+}
+
+export function createFakeSpeech(clock: FakeClock): FakeSpeech {
+  const instances: Recognition[] = [];
+
+  class GrammarList implements FakeSpeechGrammarList {
+    grammars: Array<{ src: string; weight: number }> = [];
+
+    get length(): number {
+      return this.grammars.length;
+    }
+
+    addFromString(src: string, weight = 1): void {
+      this.grammars.push({ src, weight });
+    }
+
+    addFromURI(src: string, weight = 1): void {
+      this.grammars.push({ src, weight });
+    }
+  }
+
+  class Recognition extends EventTarget implements FakeSpeechRecognition {
+    lang = "";
+    continuous = false;
+    interimResults = false;
+    maxAlternatives = 1;
+    grammars: FakeSpeechGrammarList | null = null;
+    running = false;
+    starts = 0;
+    aborted = false;
+    onstart: ((event: Event) => void) | null = null;
+    onend: ((event: Event) => void) | null = null;
+    onerror: ((event: Event) => void) | null = null;
+    onresult: ((event: Event) => void) | null = null;
+    private results: ResultEntry[] = [];
+    private stopping = false;
+
+    constructor() {
+      super();
+      instances.push(this);
+    }
+
+    start(): void {
+      if (this.running) {
+        throw new DOMException("recognition has already started", "InvalidStateError");
+      }
+      this.running = true;
+      this.stopping = false;
+      this.starts += 1;
+      this.results = [];
+      clock.setTimeout(() => {
+        if (this.running) {
+          this.emit("start");
+        }
+      }, 0);
+    }
+
+    // Finalizes the pending interim result before ending, as browsers do.
+    stop(): void {
+      if (!this.running || this.stopping) {
+        return;
+      }
+      this.stopping = true;
+      clock.setTimeout(() => {
+        const pending = this.results.at(-1);
+        if (pending && !pending.isFinal) {
+          this.final(pending.alternatives[0].transcript);
+        }
+        this.end();
+      }, 0);
+    }
+
+    abort(): void {
+      if (!this.running) {
+        return;
+      }
+      this.aborted = true;
+      this.running = false;
+      clock.setTimeout(() => {
+        this.emit("error", { error: "aborted", message: "" });
+        this.emit("end");
+      }, 0);
+    }
+
+    interim(transcript: string): void {
+      const finals = this.results.filter((entry) => entry.isFinal);
+      this.results = [...finals, { alternatives: [{ transcript }], isFinal: false }];
+      this.emit("result", { resultIndex: finals.length, results: toResultList(this.results) });
+    }
+
+    final(transcript: string, options: FakeSpeechFinalOptions = {}): void {
+      const finals = this.results.filter((entry) => entry.isFinal);
+      const best = { transcript, confidence: options.confidence };
+      this.results = [...finals, { alternatives: [best, ...(options.alternatives ?? [])], isFinal: true }];
+      this.emit("result", { resultIndex: finals.length, results: toResultList(this.results) });
+    }
+
+    error(code: string, message = ""): void {
+      this.emit("error", { error: code, message });
+      this.end();
+    }
+
+    end(): void {
+      if (!this.running) {
+        return;
+      }
+      this.running = false;
+      this.emit("end");
+    }
+
+    private emit(type: string, detail: object = {}): void {
+      const event = Object.assign(new Event(type), detail);
+      const handler = this[`on${type}` as "onstart" | "onend" | "onerror" | "onresult"];
+      handler?.call(this, event);
+      this.dispatchEvent(event);
+    }
+  }
+
+  const active = () => [...instances].reverse().find((instance) => instance.running) ?? null;
+  const act = (action: (recognition: Recognition) => void) => {
+    const recognition = active();
+    if (!recognition) {
+      return false;
+    }
+    action(recognition);
+    return true;
+  };
+
+  const speech: FakeSpeech = {
+    SpeechRecognition: Recognition,
+    SpeechGrammarList: GrammarList,
+    instances,
+    active,
+    interim: (transcript) => act((recognition) => recognition.interim(transcript)),
+    final: (transcript, options) => act((recognition) => recognition.final(transcript, options)),
+    error: (code, message) => act((recognition) => recognition.error(code, message)),
+    end: () => act((recognition) => recognition.end()),
+    script: (steps) => {
+      for (const step of steps) {
+        clock.setTimeout(() => {
+          if ("interim" in step) {
+            speech.interim(step.interim);
+          } else if ("final" in step) {
+            speech.final(step.final, step);
+          } else if ("error" in step) {
+            speech.error(step.error, step.message);
+          } else {
+            speech.end();
+          }
+        }, step.at);
+      }
+    },
+  };
+  return speech;
+}
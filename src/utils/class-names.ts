@@ -0,0 +1,3 @@
+export function cx(...values: Array<string | undefined | false>): string {
+  return values.filter(Boolean).join(" ");
+}
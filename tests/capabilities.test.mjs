@@ -0,0 +1,74 @@
+import assert from "node:assert/strict";
+import {
+  SERVER_CAPABILITIES,
+  detectVoiceDraftCapabilities,
+  getVoiceDraftCapabilities,
+  requestMicrophonePermission,
+} from "../dist/core/capabilities.js";
+
+const engine = (supported) => ({ isSupported: () => supported, start() {}, stop: () => ({ transcript: "" }) });
+
+assert.equal(detectVoiceDraftCapabilities(), SERVER_CAPABILITIES, "no window means a server render");
+
+globalThis.window = { isSecureContext: false };
+assert.equal(detectVoiceDraftCapabilities([engine(true)]).unavailableReason, "insecure-context");
+
+globalThis.window = { isSecureContext: true };
+let report = detectVoiceDraftCapabilities([engine(true)]);
+assert.equal(report.mediaDevices, false);
+assert.equal(report.canTranscribe, false);
+assert.equal(report.unavailableReason, "not-supported");
+
+let permissionState = "prompt";
+const stopped = [];
+globalThis.AudioContext = class {};
+// Node 21+ defines `navigator` with a getter only.
+Object.defineProperty(globalThis, "navigator", {
+  configurable: true,
+  writable: true,
+  value: {
+    mediaDevices: {
+      getUserMedia: async ({ audio }) => {
+        if (permissionState === "denied") {
+          throw Object.assign(new Error("denied"), { name: "NotAllowedError" });
+        }
+        return { audio, getTracks: () => [{ stop: () => stopped.push("track") }] };
+      },
+    },
+    permissions: { query: async ({ name }) => ({ name, state: permissionState }) },
+  },
+});
+
+report = detectVoiceDraftCapabilities([engine(false)]);
+assert.equal(report.engine, false);
+assert.equal(report.speechRecognition, false);
+assert.equal(report.unavailableReason, "not-supported");
+
+globalThis.window.webkitSpeechRecognition = class {};
+report = await getVoiceDraftCapabilities();
+assert.deepEqual(report, {
+  secureContext: true,
+  mediaDevices: true,
+  speechRecognition: true,
+  audioContext: true,
+  engine: true,
+  microphonePermission: "prompt",
+  canTranscribe: true,
+  unavailableReason: null,
+});
+
+await requestMicrophonePermission();
+assert.deepEqual(stopped, ["track"], "the permission probe releases the microphone");
+
+permissionState = "denied";
+report = await getVoiceDraftCapabilities();
+assert.equal(report.unavailableReason, "permission-denied");
+assert.equal(report.canTranscribe, true, "a denied permission can still be retried by the user");
+await assert.rejects(requestMicrophonePermission(), { name: "VoiceDraftError", code: "permission-denied" });
+
+globalThis.navigator.permissions.query = async () => {
+  throw new TypeError("microphone is not a valid permission name");
+};
+assert.equal((await getVoiceDraftCapabilities()).microphonePermission, "unknown");
+
+console.log("capabilities tests passed");
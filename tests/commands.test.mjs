@@ -0,0 +1,52 @@
+import assert from "node:assert/strict";
+import { applyVoiceCommands, getVoiceDraftGrammar, mergeGrammars } from "../dist/core/commands.js";
+import { joinTranscript } from "../dist/core/transcript.js";
+
+const en = getVoiceDraftGrammar("en-US");
+
+assert.equal(getVoiceDraftGrammar("en-GB"), en, "regional locales fall back to the language");
+assert.equal(getVoiceDraftGrammar("xx-YY"), null);
+
+assert.deepEqual(applyVoiceCommands("hello comma how are you question mark", en), {
+  text: "hello, how are you?",
+  drop: 0,
+  commands: [],
+});
+assert.equal(applyVoiceCommands("Dear Sam Comma. new paragraph thanks", en).text, "Dear Sam,\n\nthanks");
+assert.equal(applyVoiceCommands("see open parenthesis below close parenthesis", en).text, "see (below)");
+assert.equal(applyVoiceCommands("no commands here", null).text, "no commands here");
+
+assert.deepEqual(applyVoiceCommands("scratch that", en), { text: "", drop: 1, commands: [] });
+assert.deepEqual(applyVoiceCommands("wrong words scratch that right words", en), {
+  text: "right words",
+  drop: 0,
+  commands: [],
+}, "an edit inside an utterance removes the words before it");
+assert.equal(applyVoiceCommands("delete that delete that", en).drop, 2);
+assert.equal(applyVoiceCommands("clear all start over", en).drop, Infinity);
+
+const es = getVoiceDraftGrammar("es-MX");
+assert.equal(applyVoiceCommands("hola punto y coma adiós punto", es).text, "hola; adiós.", "longest phrase wins");
+assert.equal(applyVoiceCommands("bonjour virgule ça va point d'interrogation", getVoiceDraftGrammar("fr")).text, "bonjour, ça va?");
+
+assert.deepEqual(applyVoiceCommands("looks good send it", en, ["send it"]), {
+  text: "looks good",
+  drop: 0,
+  commands: ["send it"],
+});
+assert.deepEqual(
+  applyVoiceCommands("send it to Sam", en, ["send it"]).commands,
+  [],
+  "app commands only match at the end of an utterance",
+);
+
+const custom = mergeGrammars(en, { punctuation: { "smiley face": "🙂" }, edits: { "never mind": "delete-last" } });
+assert.equal(applyVoiceCommands("done smiley face", custom).text, "done 🙂");
+assert.equal(applyVoiceCommands("comma", custom).text, ",", "built-in phrases survive a merge");
+assert.equal(applyVoiceCommands("never mind", custom).drop, 1);
+
+assert.equal(joinTranscript("hello", ",", "world", "."), "hello, world.");
+assert.equal(joinTranscript("first", "\n\n", "second"), "first\n\nsecond");
+assert.equal(joinTranscript(" padded ", "", "  "), "padded");
+
+console.log("commands tests passed");
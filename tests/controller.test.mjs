@@ -0,0 +1,872 @@
+import assert from "node:assert/strict";
+import { VoiceDraftController } from "../dist/core/controller.js";
+import { VoiceDraftError } from "../dist/core/errors.js";
+import { autoCapitalizeTransformer, fillerWordsTransformer } from "../dist/core/transformers.js";
+
+const stoppedTracks = [];
+const constraintsRequested = [];
+const deviceListeners = new Set();
+let availableDevices = ["default", "usb-mic"];
+
+function createStream(deviceId) {
+  const track = new EventTarget();
+  track.readyState = "live";
+  track.getSettings = () => ({ deviceId });
+  track.stop = () => {
+    track.readyState = "ended";
+    stoppedTracks.push(deviceId);
+  };
+  return { deviceId, getTracks: () => [track], getAudioTracks: () => [track] };
+}
+
+globalThis.window = {};
+
+// Node 21+ defines `navigator` with a getter only.
+Object.defineProperty(globalThis, "navigator", {
+  configurable: true,
+  writable: true,
+  value: {
+    mediaDevices: {
+      getUserMedia: async ({ audio }) => {
+        constraintsRequested.push(audio);
+        const deviceId = audio?.deviceId?.exact ?? "default";
+        if (!availableDevices.includes(deviceId)) {
+          throw Object.assign(new Error("gone"), { name: "OverconstrainedError" });
+        }
+        return createStream(deviceId);
+      },
+      enumerateDevices: async () => availableDevices.map((deviceId) => ({ deviceId, kind: "audioinput" })),
+      addEventListener: (_type, listener) => deviceListeners.add(listener),
+      removeEventListener: (_type, listener) => deviceListeners.delete(listener),
+    },
+  },
+});
+
+const connections = [];
+
+globalThis.AudioContext = class {
+  createMediaStreamSource(stream) {
+    const source = { stream, connected: [] };
+    source.connect = (node) => source.connected.push(node);
+    source.disconnect = () => {
+      source.connected = [];
+    };
+    connections.push(source);
+    return source;
+  }
+
+  createMediaStreamDestination() {
+    return { stream: { kind: "engine-output" } };
+  }
+
+  suspend() {
+    this.state = "suspended";
+  }
+
+  resume() {
+    this.state = "running";
+  }
+
+  createAnalyser() {
+    return {
+      fftSize: 0,
+      frequencyBinCount: 0,
+      smoothingTimeConstant: 0,
+      minDecibels: -100,
+      maxDecibels: -30,
+      getByteTimeDomainData: (data) => data.fill(128),
+      getByteFrequencyData: (data) => data.fill(0),
+    };
+  }
+
+  close() {}
+};
+
+globalThis.requestAnimationFrame = () => 1;
+globalThis.cancelAnimationFrame = () => {};
+
+function createAdapter(name, { supported = true, supportedLocales } = {}) {
+  const calls = [];
+  let context = null;
+  return {
+    calls,
+    get context() {
+      return context;
+    },
+    emit: (result) => context.onResult(result),
+    fail: (error) => context.onError(error),
+    adapter: {
+      name,
+      isSupported: () => supported,
+      supportedLocales,
+      start: (ctx) => {
+        context = ctx;
+        calls.push(["start", ctx.locale]);
+      },
+      stop: async () => {
+        calls.push(["stop"]);
+        return { transcript: "tail" };
+      },
+      cancel: () => {
+        calls.push(["cancel"]);
+      },
+    },
+  };
+}
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+{
+  const engine = createAdapter();
+  const controller = new VoiceDraftController({ adapter: engine.adapter, locale: "fr-FR" });
+  const snapshots = [];
+  controller.subscribe(() => snapshots.push(controller.getSnapshot()));
+
+  assert.equal(controller.getSnapshot().canTranscribe, true);
+
+  assert.equal(controller.getSnapshot().status, "idle");
+  assert.equal(controller.start(), true);
+  assert.equal(controller.getSnapshot().status, "requesting-permission");
+  assert.equal(controller.getSnapshot().listening, false, "not listening before the microphone is granted");
+  assert.equal(controller.start(), false, "a second start is rejected");
+  await flush();
+  assert.equal(controller.getSnapshot().status, "listening");
+  assert.equal(controller.getSnapshot().listening, true);
+  assert.deepEqual(engine.calls, [["start", "fr-FR"]]);
+
+  engine.emit({ transcript: "bonjour", isFinal: false });
+  assert.equal(controller.getSnapshot().draftText, "bonjour");
+  engine.emit({ transcript: "bonjour tout le monde", isFinal: true });
+  engine.emit({ transcript: "ça", isFinal: false });
+  assert.equal(controller.getSnapshot().draftText, "bonjour tout le monde ça");
+  assert.equal(controller.setDraftText("edited"), false, "the draft cannot be edited while listening");
+
+  const stopping = controller.stop();
+  assert.equal(controller.getSnapshot().status, "finalizing");
+  assert.equal(controller.stop(), stopping, "stop while finalizing shares the pending result");
+  assert.equal(controller.cancel(), false, "cancel is rejected while finalizing");
+  const text = await stopping;
+  assert.equal(text, "bonjour tout le monde ça tail");
+  assert.equal(controller.getSnapshot().status, "review");
+  assert.equal(controller.getSnapshot().listening, false);
+  assert.equal(controller.getSnapshot().draftText, text);
+  assert.equal(controller.setDraftText("Bonjour à tous."), true);
+  assert.equal(controller.getSnapshot().draftText, "Bonjour à tous.");
+  assert.equal(controller.getSnapshot().status, "review", "edits keep the draft in review");
+  controller.clearDraft();
+  assert.equal(controller.getSnapshot().status, "idle");
+  assert.deepEqual(stoppedTracks, ["default"]);
+  assert.ok(snapshots.length > 0);
+  assert.notEqual(snapshots[0], snapshots.at(-1), "snapshots are replaced, not mutated");
+}
+
+{
+  const engine = createAdapter();
+  const controller = new VoiceDraftController({ adapter: engine.adapter });
+  controller.start();
+  await flush();
+  engine.emit({ transcript: "discard me", isFinal: true });
+  controller.cancel();
+  assert.deepEqual(engine.calls.at(-1), ["cancel"]);
+  assert.equal(controller.getSnapshot().draftText, "");
+
+  engine.emit({ transcript: "late result", isFinal: true });
+  assert.equal(controller.getSnapshot().draftText, "", "results from a cancelled session are ignored");
+}
+
+{
+  const errors = [];
+  const controller = new VoiceDraftController({
+    adapters: [createAdapter("a", { supported: false }).adapter, createAdapter("b", { supported: false }).adapter],
+    onError: (error) => errors.push(error),
+  });
+  assert.equal(controller.getSnapshot().canTranscribe, false);
+  assert.equal(controller.start(), false);
+  assert.equal(controller.getSnapshot().status, "error");
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].code, "not-supported");
+  controller.cancel();
+  assert.equal(controller.getSnapshot().status, "idle");
+}
+
+{
+  const native = createAdapter("native", { supported: false });
+  const cloud = createAdapter("cloud");
+  const controller = new VoiceDraftController({ adapters: [native.adapter, cloud.adapter] });
+  assert.equal(controller.getSnapshot().canTranscribe, true, "any capable engine enables transcription");
+  controller.start();
+  await flush();
+  assert.deepEqual(native.calls, []);
+  assert.equal(cloud.calls.length, 1);
+  assert.equal(controller.getSnapshot().engine, "cloud");
+  controller.cancel();
+}
+
+{
+  const native = createAdapter("native");
+  const cloud = createAdapter("cloud");
+  const errors = [];
+  const fallbacks = [];
+  const controller = new VoiceDraftController({
+    adapters: [native.adapter, cloud.adapter],
+    maxEngineErrors: 2,
+    onError: (error) => errors.push(error),
+    onEngineFallback: (event) => fallbacks.push(event),
+  });
+
+  controller.start();
+  await flush();
+  assert.equal(controller.getSnapshot().engine, "native");
+  native.emit({ transcript: "kept text", isFinal: true });
+  native.emit({ transcript: "pending", isFinal: false });
+
+  native.fail(new VoiceDraftError("network", "offline"));
+  assert.equal(controller.getSnapshot().engine, "native", "a single recoverable error does not switch engines");
+  native.fail(new VoiceDraftError("network", "offline"));
+  await flush();
+
+  assert.deepEqual(native.calls.at(-1), ["cancel"]);
+  assert.equal(cloud.calls.length, 1);
+  assert.equal(controller.getSnapshot().engine, "cloud");
+  assert.deepEqual(fallbacks.map(({ from, to }) => [from, to]), [["native", "cloud"]]);
+  assert.equal(errors.length, 0);
+
+  cloud.emit({ transcript: "more text", isFinal: true });
+  const text = await controller.stop();
+  assert.equal(text, "kept text pending more text tail");
+  assert.equal(controller.getSnapshot().engine, "cloud");
+
+  controller.start();
+  await flush();
+  native.fail(new Error("fatal"));
+  await flush();
+  cloud.fail(new Error("also fatal"));
+  assert.equal(errors.length, 1, "errors surface once no engine is left");
+  assert.equal(errors[0].code, "engine-error");
+  assert.equal(errors[0].cause.message, "also fatal");
+  assert.equal(controller.getSnapshot().status, "error");
+  assert.equal(controller.getSnapshot().lastError, errors[0]);
+  controller.cancel();
+}
+
+{
+  const denied = Object.assign(new Error("Permission denied"), { name: "NotAllowedError" });
+  const { getUserMedia } = navigator.mediaDevices;
+  navigator.mediaDevices.getUserMedia = async () => {
+    throw denied;
+  };
+  const errors = [];
+  const controller = new VoiceDraftController({ adapter: createAdapter().adapter, onError: (error) => errors.push(error) });
+  controller.start();
+  await flush();
+  assert.equal(controller.getSnapshot().status, "error");
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].code, "permission-denied");
+  assert.equal(errors[0].cause, denied);
+  navigator.mediaDevices.getUserMedia = getUserMedia;
+
+  assert.equal(controller.start(), true, "a failed session can be retried");
+  assert.equal(controller.getSnapshot().lastError, null);
+  assert.equal(await controller.stop(), "", "stopping before permission resolves cancels");
+  assert.equal(controller.getSnapshot().status, "idle");
+  await flush();
+  assert.equal(controller.getSnapshot().status, "idle", "a late permission grant does not revive the session");
+}
+
+{
+  stoppedTracks.length = 0;
+  constraintsRequested.length = 0;
+  const engine = createAdapter("engine");
+  let engineStream = null;
+  const start = engine.adapter.start;
+  engine.adapter.start = (ctx) => {
+    engineStream = ctx.stream;
+    start(ctx);
+  };
+  const controller = new VoiceDraftController({
+    adapter: engine.adapter,
+    audioConstraints: { echoCancellation: false, noiseSuppression: true },
+    onError() {},
+  });
+
+  controller.start();
+  await flush();
+  assert.deepEqual(constraintsRequested[0], { echoCancellation: false, noiseSuppression: true });
+  assert.equal(controller.getSnapshot().deviceId, "default");
+  assert.deepEqual(engineStream, { kind: "engine-output" }, "engines read the mixed output stream");
+
+  assert.equal(await controller.setDevice("usb-mic"), true);
+  assert.deepEqual(constraintsRequested[1], {
+    deviceId: { exact: "usb-mic" },
+    echoCancellation: false,
+    noiseSuppression: true,
+  });
+  assert.equal(controller.getSnapshot().deviceId, "usb-mic");
+  assert.deepEqual(stoppedTracks, ["default"], "the previous microphone is released");
+  assert.equal(connections.at(-2).connected.length, 0, "the previous source is disconnected");
+  assert.equal(connections.at(-1).connected.length, 2, "the new source feeds the analyser and the engines");
+  assert.equal(engine.calls.length, 1, "switching devices does not restart the engine");
+
+  availableDevices = ["default"];
+  deviceListeners.forEach((listener) => listener());
+  await flush();
+  await flush();
+  assert.equal(controller.getSnapshot().deviceId, "default", "an unplugged microphone falls back to the default");
+  assert.equal(controller.getSnapshot().status, "listening");
+
+  availableDevices = [];
+  const [track] = connections.at(-1).stream.getAudioTracks();
+  track.readyState = "ended";
+  track.dispatchEvent(new Event("ended"));
+  await flush();
+  assert.equal(controller.getSnapshot().status, "error");
+  assert.equal(controller.getSnapshot().lastError.code, "no-microphone");
+  assert.equal(deviceListeners.size, 0, "device watching stops with the session");
+  availableDevices = ["default", "usb-mic"];
+  controller.cancel();
+}
+
+{
+  const engine = createAdapter("engine");
+  const sent = [];
+  const controller = new VoiceDraftController({
+    adapter: engine.adapter,
+    commands: {
+      "send it": async ({ stop }) => sent.push(await stop()),
+    },
+  });
+  controller.start();
+  await flush();
+  engine.emit({ transcript: "hello comma world period", isFinal: true });
+  assert.equal(controller.getSnapshot().draftText, "hello, world.");
+  engine.emit({ transcript: "this part is wrong", isFinal: true });
+  engine.emit({ transcript: "scratch that", isFinal: true });
+  assert.equal(controller.getSnapshot().draftText, "hello, world.", "scratch that removes the last utterance");
+  engine.emit({ transcript: "new paragraph bye send it", isFinal: true });
+  assert.equal(controller.getSnapshot().status, "finalizing", "app commands call back into the host");
+  await flush();
+  assert.deepEqual(sent, ["hello, world.\n\nbye tail"]);
+  controller.clearDraft();
+
+  controller.setOptions({ adapter: engine.adapter, grammar: false });
+  controller.start();
+  await flush();
+  engine.emit({ transcript: "a comma b", isFinal: true });
+  assert.equal(controller.getSnapshot().draftText, "a comma b", "grammars can be turned off");
+  controller.cancel();
+}
+
+{
+  const engine = createAdapter("engine");
+  const controller = new VoiceDraftController({
+    adapter: engine.adapter,
+    transformers: [fillerWordsTransformer(), autoCapitalizeTransformer()],
+  });
+  controller.start();
+  await flush();
+  engine.emit({ transcript: "um hello there period", isFinal: true });
+  engine.emit({ transcript: "uh next", isFinal: false });
+  assert.equal(controller.getSnapshot().draftText, "Hello there. uh next", "interim results are shown as heard");
+  engine.emit({ transcript: "uh next sentence", isFinal: true });
+  assert.equal(controller.getSnapshot().draftText, "Hello there. Next sentence");
+  assert.equal(await controller.stop(), "Hello there. Next sentence tail");
+  controller.clearDraft();
+}
+
+{
+  const engine = createAdapter("engine");
+  engine.adapter.stop = async () => ({
+    transcript: "ignored",
+    segments: [{ transcript: "from stop", isFinal: true, confidence: 0.8, start: 900, end: 1400 }],
+  });
+  const controller = new VoiceDraftController({ adapter: engine.adapter });
+  controller.start();
+  await flush();
+  engine.emit({ transcript: "cube", isFinal: false });
+  const [interim] = controller.getSnapshot().segments;
+  assert.equal(interim.isFinal, false);
+  engine.emit({
+    transcript: "cube control",
+    isFinal: true,
+    confidence: 0.3,
+    alternatives: [{ transcript: "kubectl", confidence: 0.2 }],
+  });
+  engine.emit({ transcript: "next", isFinal: false });
+
+  const [first, second] = controller.getSnapshot().segments;
+  assert.deepEqual(
+    { ...first, start: 0, end: 0 },
+    {
+      text: "cube control",
+      isFinal: true,
+      confidence: 0.3,
+      alternatives: [{ transcript: "kubectl", confidence: 0.2 }],
+      start: 0,
+      end: 0,
+      engine: "engine",
+      locale: "en-US",
+    },
+  );
+  assert.equal(first.start, interim.start, "a segment starts with its first interim result");
+  assert.ok(first.end >= first.start);
+  assert.equal(second.confidence, null, "confidence is null when the engine does not report it");
+  assert.equal(controller.getSnapshot().draftText, "cube control next");
+
+  assert.equal(await controller.stop(), "cube control next from stop", "stop segments replace the tail transcript");
+  const segments = controller.getSnapshot().segments;
+  assert.deepEqual(segments.map(({ text, isFinal }) => [text, isFinal]), [
+    ["cube control", true],
+    ["next", true],
+    ["from stop", true],
+  ]);
+  assert.deepEqual([segments[2].start, segments[2].end, segments[2].confidence], [900, 1400, 0.8]);
+
+  controller.setDraftText("edited");
+  assert.deepEqual(controller.getSnapshot().segments.map(({ text, engine }) => [text, engine]), [["edited", null]]);
+  controller.clearDraft();
+  assert.deepEqual(controller.getSnapshot().segments, []);
+}
+
+{
+  const engine = createAdapter("engine");
+  const errors = [];
+  const controller = new VoiceDraftController({
+    adapter: engine.adapter,
+    commands: {
+      "send it": () => {
+        throw new Error("sync");
+      },
+      "post it": async () => {
+        throw new Error("async");
+      },
+    },
+    onError: (error) => errors.push([error.code, error.cause.message]),
+  });
+  controller.start();
+  await flush();
+  engine.emit({ transcript: "send it", isFinal: true });
+  engine.emit({ transcript: "post it", isFinal: true });
+  await flush();
+  assert.deepEqual(errors, [
+    ["engine-error", "sync"],
+    ["engine-error", "async"],
+  ]);
+  controller.cancel();
+}
+
+{
+  const saved = new Map();
+  const storage = {
+    load: async (id) => saved.get(id) ?? null,
+    save: async (checkpoint) => {
+      saved.set(checkpoint.id, checkpoint);
+    },
+    remove: async (id) => {
+      saved.delete(id);
+    },
+  };
+  const persistence = { storage, draftId: "composer" };
+
+  const engine = createAdapter("engine");
+  const crashed = new VoiceDraftController({ adapter: engine.adapter, persistence });
+  crashed.start();
+  await flush();
+  engine.emit({ transcript: "first thought", isFinal: true });
+  engine.emit({ transcript: "unfinished", isFinal: false });
+  await flush();
+  assert.equal(saved.get("composer").text, "first thought", "finalized text is checkpointed");
+  assert.equal(saved.get("composer").segments.length, 1);
+  crashed.dispose();
+
+  const reloaded = new VoiceDraftController({ adapter: engine.adapter, persistence });
+  assert.equal(reloaded.getSnapshot().recoverableDraft, null, "nothing is loaded before the first subscription");
+  reloaded.subscribe(() => {});
+  await flush();
+  const recoverable = reloaded.getSnapshot().recoverableDraft;
+  assert.equal(recoverable.text, "first thought");
+  assert.equal(reloaded.getServerSnapshot().recoverableDraft, null);
+
+  assert.equal(recoverable.restore(), true);
+  assert.equal(reloaded.getSnapshot().status, "review");
+  assert.equal(reloaded.getSnapshot().draftText, "first thought");
+  assert.equal(reloaded.getSnapshot().recoverableDraft, null);
+  assert.equal(recoverable.restore(), false, "a draft is restored once");
+
+  reloaded.clearDraft();
+  await flush();
+  assert.equal(saved.has("composer"), false, "clearing the draft removes the checkpoint");
+
+  await storage.save({ id: "composer", text: "stale", segments: [], locale: "en-US", updatedAt: 1 });
+  const another = new VoiceDraftController({ adapter: engine.adapter, persistence });
+  another.subscribe(() => {});
+  await flush();
+  await another.getSnapshot().recoverableDraft.discard();
+  assert.equal(another.getSnapshot().recoverableDraft, null);
+  assert.equal(saved.has("composer"), false);
+  assert.equal(another.getSnapshot().status, "idle");
+}
+
+{
+  const errors = [];
+  const storage = {
+    load: async () => {
+      throw new Error("blocked");
+    },
+    save: async () => {
+      throw new Error("quota exceeded");
+    },
+    remove: async () => {},
+  };
+  const engine = createAdapter("engine");
+  const controller = new VoiceDraftController({
+    adapter: engine.adapter,
+    persistence: { storage, draftId: "composer" },
+    onError: (error) => errors.push([error.code, error.cause.message]),
+  });
+  controller.subscribe(() => {});
+  await flush();
+  controller.start();
+  await flush();
+  engine.emit({ transcript: "first thought", isFinal: true });
+  await flush();
+  assert.deepEqual(errors, [
+    ["storage", "blocked"],
+    ["storage", "quota exceeded"],
+  ]);
+  assert.equal(controller.getSnapshot().status, "listening", "storage failures do not end the session");
+  assert.equal(controller.getSnapshot().lastError.code, "storage");
+  controller.cancel();
+}
+
+{
+  const workletNodes = [];
+  globalThis.AudioWorkletNode = class {
+    constructor(_context, name, options) {
+      this.options = options;
+      this.port = {
+        onmessage: null,
+        postMessage: (message) => {
+          if (message === "flush") {
+            const buffer = Int16Array.of(9, 9).buffer;
+            setTimeout(() => this.port.onmessage?.({ data: { type: "flushed", buffer } }), 0);
+          }
+        },
+        close() {},
+      };
+      if (name === "voicedraft-pcm") {
+        workletNodes.push(this);
+      }
+    }
+  };
+  AudioContext.prototype.sampleRate = 48000;
+  AudioContext.prototype.audioWorklet = { addModule: async () => {} };
+  const frame = (samples) => workletNodes.at(-1).port.onmessage({ data: { type: "frame", buffer: Int16Array.from(samples).buffer } });
+
+  const engine = createAdapter("engine");
+  const controller = new VoiceDraftController({ adapter: engine.adapter, recording: { maxDurationMs: 0.25 } });
+  controller.start();
+  await flush();
+  await flush();
+  assert.equal(workletNodes.length, 1);
+  assert.equal(workletNodes[0].options.processorOptions.targetSampleRate, 16000, "audio is downsampled to 16 kHz");
+  assert.equal(controller.getRecording(), null);
+  frame([1, 2, 3]);
+  assert.equal(controller.getRecording().size, 44 + 6, "the recording can be read while listening");
+
+  engine.emit({ transcript: "hello", isFinal: true });
+  await controller.stop();
+  const recording = controller.getSnapshot().recording;
+  assert.equal(recording, controller.getRecording());
+  const samples = new Int16Array((await recording.arrayBuffer()).slice(44));
+  assert.deepEqual(Array.from(samples), [2, 3, 9, 9], "stop flushes the last frame and retention keeps the newest audio");
+
+  controller.clearDraft();
+  assert.equal(controller.getSnapshot().recording, null);
+
+  controller.start();
+  await flush();
+  await flush();
+  frame([5]);
+  controller.cancel();
+  assert.equal(controller.getRecording(), null, "cancelled sessions keep no audio");
+
+  const silent = new VoiceDraftController({ adapter: engine.adapter });
+  silent.start();
+  await flush();
+  assert.equal(workletNodes.length, 2, "audio is only captured with the recording option");
+  silent.cancel();
+
+  delete globalThis.AudioWorkletNode;
+  delete AudioContext.prototype.sampleRate;
+  delete AudioContext.prototype.audioWorklet;
+}
+
+{
+  const levelNodes = [];
+  globalThis.AudioWorkletNode = class {
+    constructor(_context, name, options) {
+      this.options = options;
+      this.port = { onmessage: null, postMessage() {}, close() {} };
+      this.disconnect = () => {};
+      if (name === "voicedraft-level") {
+        levelNodes.push(this);
+      }
+    }
+  };
+  AudioContext.prototype.sampleRate = 48000;
+  AudioContext.prototype.audioWorklet = { addModule: async () => {} };
+
+  const engine = createAdapter("engine");
+  const controller = new VoiceDraftController({ adapter: engine.adapter, sampleIntervalMs: 50, maxHistory: 2 });
+  let notifications = 0;
+  controller.subscribe(() => {
+    notifications += 1;
+  });
+  controller.start();
+  await flush();
+  await flush();
+
+  assert.equal(levelNodes.length, 1, "levels are measured in an AudioWorklet");
+  assert.equal(levelNodes[0].options.processorOptions.intervalMs, 50);
+  assert.ok(connections.at(-1).connected.includes(levelNodes[0]), "the microphone feeds the level worklet");
+
+  const before = notifications;
+  const version = controller.meter.version;
+  for (let index = 0; index < 3; index += 1) {
+    levelNodes[0].port.onmessage({ data: { rms: 0.2, zeroCrossingRate: 400 } });
+  }
+  assert.equal(controller.meter.version, version + 3);
+  assert.equal(controller.meter.length, 2, "history is capped at maxHistory");
+  assert.equal(notifications, before, "meter frames do not touch the snapshot");
+  assert.equal("waveform" in controller.getSnapshot(), false);
+
+  controller.cancel();
+  assert.equal(levelNodes[0].port.onmessage, null, "the worklet is detached when the session ends");
+
+  controller.start();
+  assert.equal(controller.meter.length, 0, "a new session starts with an empty waveform");
+  controller.cancel();
+
+  delete globalThis.AudioWorkletNode;
+  delete AudioContext.prototype.sampleRate;
+  delete AudioContext.prototype.audioWorklet;
+}
+
+{
+  const engine = createAdapter("engine");
+  const realNow = performance.now;
+  let now = 0;
+  performance.now = () => now;
+  const controller = new VoiceDraftController({ adapter: engine.adapter });
+
+  assert.equal(controller.pause(), false, "nothing to pause while idle");
+  controller.start();
+  await flush();
+  engine.emit({ transcript: "hello", isFinal: true });
+  now = 1500;
+
+  assert.equal(controller.pause(), true);
+  assert.equal(controller.getSnapshot().status, "paused");
+  assert.equal(controller.getSnapshot().listening, false);
+  assert.equal(controller.pause(), false);
+  await flush();
+  assert.deepEqual(engine.calls.slice(-1), [["stop"]], "pausing stops recognition");
+  assert.equal(controller.getSnapshot().draftText, "hello tail", "the engine's tail is kept");
+  engine.emit({ transcript: "late", isFinal: true });
+  assert.equal(controller.getSnapshot().draftText, "hello tail", "the stopped engine's results are ignored");
+
+  now = 60_000;
+  assert.equal(controller.resume(), true);
+  assert.equal(controller.getSnapshot().status, "listening");
+  assert.equal(controller.getSnapshot().elapsed, 1, "paused time is not counted");
+  await flush();
+  await flush();
+  assert.deepEqual(engine.calls.slice(-1), [["start", "en-US"]], "resuming restarts recognition");
+
+  engine.emit({ transcript: "world", isFinal: true });
+  controller.pause();
+  assert.equal(await controller.stop(), "hello tail world tail", "stopping while paused finalizes the draft");
+  assert.equal(controller.getSnapshot().status, "review");
+  assert.equal(controller.resume(), false);
+
+  performance.now = realNow;
+}
+
+{
+  const engine = createAdapter("engine");
+  const warnings = [];
+  const autoStops = [];
+  const controller = new VoiceDraftController({
+    adapter: engine.adapter,
+    maxDurationMs: 60,
+    limitWarningMs: 40,
+    onLimitApproaching: (remainingMs) => warnings.push(remainingMs),
+    onAutoStop: (text, reason) => autoStops.push([text, reason]),
+  });
+  controller.start();
+  assert.equal(controller.getSnapshot().remaining, 1);
+  assert.equal(controller.getSnapshot().limitApproaching, false);
+  await flush();
+  engine.emit({ transcript: "long dictation", isFinal: true });
+
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  assert.equal(warnings.length, 1, "the limit warning fires once");
+  assert.ok(warnings[0] <= 40 && warnings[0] > 0);
+  assert.equal(controller.getSnapshot().limitApproaching, true);
+
+  await new Promise((resolve) => setTimeout(resolve, 60));
+  await flush();
+  assert.deepEqual(autoStops, [["long dictation tail", "max-duration"]], "the session is finalized at the limit");
+  assert.equal(controller.getSnapshot().status, "review");
+  assert.equal(controller.getSnapshot().stopReason, "max-duration");
+  assert.equal(warnings.length, 1);
+}
+
+{
+  const engine = createAdapter("engine");
+  const controller = new VoiceDraftController({ adapter: engine.adapter, locale: "fr-FR" });
+  assert.equal(controller.getSnapshot().locale, "fr-FR");
+  assert.equal(controller.getSnapshot().stopReason, null);
+
+  controller.start();
+  await flush();
+  await controller.stop();
+  assert.equal(controller.getSnapshot().stopReason, "manual");
+
+  controller.start();
+  assert.equal(controller.getSnapshot().stopReason, null, "a new session clears the stop reason");
+  controller.cancel();
+
+  controller.setOptions({ adapter: engine.adapter, locale: "de-DE" });
+  assert.equal(controller.getSnapshot().locale, "de-DE");
+}
+
+{
+  const engine = createAdapter("engine", { supportedLocales: ["en-US", "fr-FR", "de-DE"] });
+  const errors = [];
+  const controller = new VoiceDraftController({
+    adapter: engine.adapter,
+    alternateLocales: ["de_DE", "en-US", "??"],
+    onError: (error) => errors.push(error.code),
+  });
+  assert.deepEqual(controller.getSupportedLocales(), ["en-US", "fr-FR", "de-DE"]);
+
+  controller.start();
+  await flush();
+  assert.deepEqual(engine.context.alternateLocales, ["de-DE"], "alternates are normalized and exclude the locale");
+  engine.emit({ transcript: "hello", isFinal: true });
+  engine.emit({ transcript: "half", isFinal: false });
+
+  assert.equal(controller.setLocale("fr_fr"), true);
+  assert.equal(controller.getSnapshot().locale, "fr-FR");
+  await flush();
+  await flush();
+  assert.deepEqual(engine.calls, [["start", "en-US"], ["stop"], ["start", "fr-FR"]], "the engine restarts in the new locale");
+  assert.equal(controller.getSnapshot().status, "listening");
+
+  engine.emit({ transcript: "bonjour", isFinal: true });
+  engine.emit({ transcript: "guten Tag", isFinal: true, locale: "de-DE" });
+  assert.deepEqual(
+    controller.getSnapshot().segments.map(({ text, locale }) => [text, locale]),
+    [
+      ["hello", "en-US"],
+      ["half", "en-US"],
+      ["tail", "en-US"],
+      ["bonjour", "fr-FR"],
+      ["guten Tag", "de-DE"],
+    ],
+    "finalized text survives the switch and segments keep their language",
+  );
+
+  assert.equal(controller.setLocale("ja-JP"), false, "locales the engine does not list are rejected");
+  assert.equal(controller.setLocale("not a locale"), false);
+  assert.deepEqual(errors, ["unsupported-locale", "unsupported-locale"]);
+  assert.equal(controller.setLocale("de-AT"), true, "a regional variant of a listed language is accepted");
+  await flush();
+  await flush();
+  assert.deepEqual(engine.calls.at(-1), ["start", "de-AT"]);
+
+  controller.pause();
+  await flush();
+  controller.setLocale("en-US");
+  assert.deepEqual(engine.calls.at(-1), ["stop"], "a paused session does not restart the engine");
+  controller.resume();
+  await flush();
+  assert.deepEqual(engine.calls.at(-1), ["start", "en-US"]);
+  assert.equal(await controller.stop(), "hello half tail bonjour guten Tag tail tail tail");
+
+  controller.setOptions({ adapter: engine.adapter, locale: "fr-FR" });
+  assert.equal(controller.getSnapshot().locale, "fr-FR", "changing the locale option switches the locale");
+  controller.setOptions({ adapter: engine.adapter, locale: "fr-FR" });
+  controller.setLocale("de-DE");
+  controller.setOptions({ adapter: engine.adapter, locale: "fr-FR" });
+  assert.equal(controller.getSnapshot().locale, "de-DE", "an unchanged option keeps the setLocale() choice");
+}
+
+for (const locale of ["not a locale", "ja-JP"]) {
+  const engine = createAdapter("engine", { supportedLocales: ["en-US", "fr-FR"] });
+  const errors = [];
+  const controller = new VoiceDraftController({ adapter: engine.adapter, locale, onError: (error) => errors.push(error.code) });
+  assert.equal(controller.getSnapshot().locale, "en-US", "an unusable initial locale falls back to the default");
+  assert.equal(controller.getSnapshot().lastError?.code, "unsupported-locale");
+  assert.deepEqual(errors, [], "onError waits until the constructor has returned");
+  await flush();
+  assert.deepEqual(errors, ["unsupported-locale"]);
+}
+
+{
+  const errors = [];
+  const controller = new VoiceDraftController({
+    adapter: createAdapter("engine").adapter,
+    locale: "pt_br",
+    onError: (error) => errors.push(error),
+  });
+  await flush();
+  assert.equal(controller.getSnapshot().locale, "pt-BR");
+  assert.deepEqual(errors, []);
+}
+
+{
+  const engine = createAdapter("engine");
+  let fieldText = "Dear Ms. Okafor,";
+  const controller = new VoiceDraftController({
+    adapter: engine.adapter,
+    hints: () => ({ phrases: [" Okafor ", { phrase: "Kubernetes", boost: 20 }, { phrase: "Okafor", boost: 8 }, ""], context: fieldText }),
+  });
+
+  controller.start();
+  await flush();
+  assert.deepEqual(
+    engine.context.hints,
+    {
+      phrases: [
+        { phrase: "Okafor", boost: 8 },
+        { phrase: "Kubernetes", boost: 10 },
+      ],
+      context: "Dear Ms. Okafor,",
+    },
+    "phrases are trimmed, de-duplicated and boosts default and clamp",
+  );
+
+  engine.emit({ transcript: "thanks for the review", isFinal: true });
+  fieldText = "Dear Ms. Okafor, hello";
+  controller.pause();
+  await flush();
+  controller.resume();
+  await flush();
+  assert.equal(
+    engine.context.hints.context,
+    "Dear Ms. Okafor, hello thanks for the review tail",
+    "hints are read again on restart and include the text dictated so far",
+  );
+  controller.cancel();
+
+  const plain = createAdapter("plain");
+  const unhinted = new VoiceDraftController({ adapter: plain.adapter });
+  unhinted.start();
+  await flush();
+  assert.deepEqual(plain.context.hints, { phrases: [], context: "" });
+  unhinted.cancel();
+}
+
+console.log("controller tests passed");
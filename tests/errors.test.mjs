@@ -0,0 +1,39 @@
+import assert from "node:assert/strict";
+import {
+  VoiceDraftError,
+  fromGetUserMediaError,
+  fromSpeechRecognitionError,
+  toVoiceDraftError,
+} from "../dist/core/errors.js";
+
+const error = new VoiceDraftError("network", "offline");
+assert.ok(error instanceof Error);
+assert.equal(error.name, "VoiceDraftError");
+assert.equal(error.recoverable, true);
+assert.equal(new VoiceDraftError("engine-error", "boom").recoverable, false);
+assert.equal(new VoiceDraftError("engine-error", "boom", { recoverable: true }).recoverable, true);
+
+assert.equal(fromSpeechRecognitionError("not-allowed").code, "permission-denied");
+assert.equal(fromSpeechRecognitionError("service-not-allowed").code, "not-supported");
+assert.equal(fromSpeechRecognitionError("audio-capture").code, "no-microphone");
+assert.equal(fromSpeechRecognitionError("network").code, "network");
+assert.equal(fromSpeechRecognitionError("aborted").code, "aborted");
+assert.equal(fromSpeechRecognitionError("bad-grammar").code, "engine-error");
+assert.deepEqual(fromSpeechRecognitionError("network", "offline").cause, { error: "network", message: "offline" });
+
+const domError = (name) => Object.assign(new Error(name), { name });
+assert.equal(fromGetUserMediaError(domError("NotAllowedError")).code, "permission-denied");
+assert.equal(fromGetUserMediaError(domError("NotFoundError")).code, "no-microphone");
+assert.equal(fromGetUserMediaError(domError("NotReadableError")).code, "device-busy");
+assert.equal(fromGetUserMediaError(domError("NotReadableError")).recoverable, true);
+assert.equal(fromGetUserMediaError(domError("Weird")).code, "engine-error");
+assert.equal(fromGetUserMediaError(domError("NotFoundError")).message, "No microphone was found.");
+assert.equal(fromGetUserMediaError(domError("Weird")).message, "Microphone access failed.");
+const original = domError("NotAllowedError");
+assert.equal(fromGetUserMediaError(original).cause, original);
+
+assert.equal(toVoiceDraftError(error), error);
+assert.equal(toVoiceDraftError("boom").code, "engine-error");
+assert.equal(toVoiceDraftError(new Error("boom")).message, "boom");
+
+console.log("error tests passed");
@@ -0,0 +1,31 @@
+import assert from "node:assert/strict";
+import { matchesHotkey, matchesHotkeyKey, parseHotkey } from "../dist/core/hotkeys.js";
+
+const key = (init) => ({ altKey: false, ctrlKey: false, metaKey: false, shiftKey: false, code: "", ...init });
+
+assert.deepEqual(parseHotkey("Mod+Shift+Space", { apple: true }), {
+  key: "Space",
+  alt: false,
+  ctrl: false,
+  meta: true,
+  shift: true,
+});
+assert.equal(parseHotkey("Mod+K", { apple: false }).ctrl, true);
+assert.equal(parseHotkey("Ctrl++").key, "+");
+assert.throws(() => parseHotkey("Hyper+K"), /Unknown hotkey modifier/);
+
+const space = key({ key: " ", code: "Space", ctrlKey: true, shiftKey: true });
+assert.equal(matchesHotkey(space, "Mod+Shift+Space", { apple: false }), true);
+assert.equal(matchesHotkey(space, "Mod+Shift+Space", { apple: true }), false, "Mod is Cmd on Apple platforms");
+assert.equal(matchesHotkey(key({ key: " ", code: "Space", ctrlKey: true }), "Mod+Shift+Space", { apple: false }), false);
+
+assert.equal(matchesHotkey(key({ key: "Escape", code: "Escape" }), "Esc"), true);
+assert.equal(matchesHotkey(key({ key: "Enter", code: "NumpadEnter" }), "Enter"), true);
+assert.equal(matchesHotkey(key({ key: "Enter", code: "Enter", shiftKey: true }), "Enter"), false, "Shift+Enter is left alone");
+assert.equal(matchesHotkey(key({ key: "√", code: "KeyV", altKey: true }), "Alt+V"), true, "letters match the physical key");
+assert.equal(matchesHotkey(key({ key: "F2", code: "F2" }), "F2"), true);
+
+assert.equal(matchesHotkeyKey({ key: " ", code: "Space" }, "Mod+Shift+Space"), true, "releases ignore modifiers");
+assert.equal(matchesHotkeyKey({ key: "Shift", code: "ShiftLeft" }, "Mod+Shift+Space"), false);
+
+console.log("hotkeys tests passed");
@@ -0,0 +1,20 @@
+import assert from "node:assert/strict";
+import { getVoiceDraftLabels, VOICE_DRAFT_LABELS } from "../dist/react/labels.js";
+
+const english = VOICE_DRAFT_LABELS.en;
+
+assert.equal(getVoiceDraftLabels("en-US"), english);
+assert.equal(getVoiceDraftLabels("fr-CA"), VOICE_DRAFT_LABELS.fr);
+assert.equal(getVoiceDraftLabels("pt_BR"), VOICE_DRAFT_LABELS.pt);
+assert.equal(getVoiceDraftLabels("ZH-hans"), VOICE_DRAFT_LABELS.zh);
+assert.equal(getVoiceDraftLabels("fi-FI"), english, "unknown languages fall back to English");
+
+for (const [language, bundle] of Object.entries(VOICE_DRAFT_LABELS)) {
+  assert.deepEqual(Object.keys(bundle).sort(), Object.keys(english).sort(), `${language} has every label`);
+  for (const [key, value] of Object.entries(bundle)) {
+    assert.ok(value.trim(), `${language}.${key} is not empty`);
+  }
+  assert.ok(bundle.limitApproaching.includes("{seconds}"), `${language}.limitApproaching has a placeholder`);
+}
+
+console.log("labels tests passed");
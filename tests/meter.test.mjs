@@ -0,0 +1,47 @@
+import assert from "node:assert/strict";
+import { createMeterBuffer } from "../dist/core/meter.js";
+
+{
+  const meter = createMeterBuffer(3);
+  let notified = 0;
+  const unsubscribe = meter.subscribe(() => {
+    notified += 1;
+  });
+
+  assert.equal(meter.capacity, 3);
+  assert.equal(meter.length, 0);
+  assert.equal(meter.at(0), 0);
+
+  meter.push(0.1, 0.2);
+  meter.push(0.2, 0.4);
+  assert.equal(meter.length, 2);
+  assert.equal(meter.speechProbability, 0.4);
+  assert.deepEqual(Array.from(meter.read()), [0.1, 0.2].map(Math.fround));
+
+  meter.push(0.3, 0);
+  meter.push(0.4, 0);
+  assert.equal(meter.length, 3, "the ring never grows past its capacity");
+  assert.deepEqual(Array.from(meter.read()), [0.2, 0.3, 0.4].map(Math.fround), "oldest samples are overwritten");
+  assert.equal(meter.at(2), Math.fround(0.4));
+  assert.deepEqual(Array.from(meter.read(new Float32Array(2))), [0.3, 0.4].map(Math.fround), "a short target gets the newest");
+
+  assert.equal(notified, 4);
+  assert.equal(meter.version, 4);
+
+  meter.resize(2);
+  assert.deepEqual(Array.from(meter.read()), [0.3, 0.4].map(Math.fround), "shrinking keeps the newest samples");
+  meter.resize(4);
+  meter.push(0.5, 0);
+  assert.deepEqual(Array.from(meter.read()), [0.3, 0.4, 0.5].map(Math.fround));
+
+  meter.clear();
+  assert.equal(meter.length, 0);
+  assert.equal(meter.speechProbability, 0);
+  assert.equal(notified, 6, "clearing notifies so renderers repaint");
+
+  unsubscribe();
+  meter.push(1, 1);
+  assert.equal(notified, 6);
+}
+
+console.log("meter tests passed");
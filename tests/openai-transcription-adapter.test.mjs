@@ -0,0 +1,156 @@
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { openAiTranscriptionAdapter } from "../dist/core/openai-transcription-adapter.js";
+
+class FakeMediaRecorder extends EventTarget {
+  static isTypeSupported(type) {
+    return type === "audio/webm";
+  }
+
+  constructor(stream, options) {
+    super();
+    this.stream = stream;
+    this.mimeType = options?.mimeType ?? "";
+    this.state = "inactive";
+  }
+
+  start() {
+    this.state = "recording";
+  }
+
+  stop() {
+    this.state = "inactive";
+    const data = new Blob(["fake-audio"], { type: this.mimeType });
+    this.dispatchEvent(Object.assign(new Event("dataavailable"), { data }));
+    this.dispatchEvent(new Event("stop"));
+  }
+}
+
+const requests = [];
+const server = createServer((request, response) => {
+  let body = "";
+  request.on("data", (chunk) => {
+    body += chunk;
+  });
+  request.on("end", () => {
+    requests.push({ url: request.url, headers: request.headers, body });
+    if (request.url === "/fail") {
+      response.writeHead(401, { "Content-Type": "application/json" });
+      response.end(JSON.stringify({ error: "bad key" }));
+      return;
+    }
+    response.writeHead(200, { "Content-Type": "application/json" });
+    if (request.url === "/detect") {
+      response.end(
+        JSON.stringify({
+          text: "bonjour",
+          language: "french",
+          segments: [{ text: " bonjour", start: 0, end: 0.6 }],
+        }),
+      );
+      return;
+    }
+    if (request.url === "/verbose") {
+      response.end(
+        JSON.stringify({
+          text: "hello there. general kenobi",
+          segments: [
+            { text: " hello there.", start: 0, end: 1.2, avg_logprob: -0.1 },
+            { text: " general kenobi", start: 1.5, end: 2.75, avg_logprob: -1.5 },
+          ],
+        }),
+      );
+      return;
+    }
+    response.end(JSON.stringify({ text: "  hello from the server  " }));
+  });
+});
+
+await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+const noHints = { phrases: [], context: "" };
+const context = { locale: "en-GB", alternateLocales: [], hints: noHints, stream: {}, onResult() {}, onError() {} };
+
+try {
+  delete globalThis.MediaRecorder;
+  assert.equal(openAiTranscriptionAdapter().isSupported(), false);
+
+  globalThis.MediaRecorder = FakeMediaRecorder;
+
+  const adapter = openAiTranscriptionAdapter({
+    endpoint: `${baseUrl}/v1/audio/transcriptions`,
+    model: "whisper-large-v3",
+    prompt: "VoiceDraft, Kubernetes",
+    headers: async () => ({ "X-Proxy-Token": "secret" }),
+  });
+  assert.equal(adapter.isSupported(), true);
+
+  adapter.start(context);
+  const result = await adapter.stop();
+  assert.deepEqual(result, { transcript: "hello from the server" });
+
+  const [sent] = requests;
+  assert.equal(sent.url, "/v1/audio/transcriptions");
+  assert.equal(sent.headers["x-proxy-token"], "secret");
+  assert.equal(sent.headers.authorization, undefined);
+  assert.match(sent.headers["content-type"], /multipart\/form-data/);
+  assert.match(sent.body, /filename="audio\.webm"/);
+  assert.match(sent.body, /fake-audio/);
+  assert.match(sent.body, /whisper-large-v3/);
+  assert.match(sent.body, /VoiceDraft, Kubernetes/);
+  assert.match(sent.body, /name="language"\r\n\r\nen\r\n/);
+
+  const failing = openAiTranscriptionAdapter({ endpoint: `${baseUrl}/fail`, apiKey: "sk-test" });
+  failing.start(context);
+  await assert.rejects(failing.stop(), /HTTP 401/);
+  assert.equal(requests[1].headers.authorization, "Bearer sk-test");
+
+  const cancelled = openAiTranscriptionAdapter({ endpoint: `${baseUrl}/v1/audio/transcriptions` });
+  cancelled.start(context);
+  cancelled.cancel();
+  assert.deepEqual(await cancelled.stop(), { transcript: "" });
+  assert.equal(requests.length, 2, "cancelled recordings are never uploaded");
+
+  const verbose = openAiTranscriptionAdapter({ endpoint: `${baseUrl}/verbose`, responseFormat: "verbose_json" });
+  verbose.start(context);
+  const { segments } = await verbose.stop();
+  assert.match(requests[2].body, /name="response_format"\r\n\r\nverbose_json\r\n/);
+  assert.deepEqual(
+    segments.map(({ transcript, start, end }) => [transcript, start, end]),
+    [
+      ["hello there.", 0, 1200],
+      ["general kenobi", 1500, 2750],
+    ],
+  );
+  assert.ok(segments[0].confidence > 0.9 && segments[1].confidence < 0.3, "log probabilities become confidences");
+
+  const detecting = openAiTranscriptionAdapter({ endpoint: `${baseUrl}/detect`, responseFormat: "verbose_json" });
+  assert.ok(detecting.supportedLocales.includes("fr"));
+  detecting.start({ ...context, alternateLocales: ["fr-CA"] });
+  const detected = await detecting.stop();
+  assert.doesNotMatch(requests[3].body, /name="language"/, "alternate locales leave the language to detection");
+  assert.equal(detected.locale, "fr-CA", "the detected language maps onto the session locales");
+  assert.equal(detected.segments[0].locale, "fr-CA");
+
+  const hinted = openAiTranscriptionAdapter({ endpoint: `${baseUrl}/v1/audio/transcriptions`, prompt: "Glossary:" });
+  hinted.start({
+    ...context,
+    hints: {
+      phrases: [
+        { phrase: "Okafor", boost: 3 },
+        { phrase: "kubectl", boost: 9 },
+      ],
+      context: "Hi team, the rollout",
+    },
+  });
+  await hinted.stop();
+  assert.match(
+    requests[4].body,
+    /name="prompt"\r\n\r\nGlossary: kubectl, Okafor Hi team, the rollout\r\n/,
+    "phrases, strongest first, and the context extend the prompt",
+  );
+} finally {
+  server.close();
+}
+
+console.log("openai transcription adapter tests passed");
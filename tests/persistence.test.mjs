@@ -0,0 +1,39 @@
+import assert from "node:assert/strict";
+import { localStorageDraftStorage } from "../dist/core/persistence.js";
+
+const items = new Map();
+const storage = localStorageDraftStorage({
+  prefix: "test:",
+  storage: {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, value),
+    removeItem: (key) => items.delete(key),
+  },
+});
+
+const checkpoint = {
+  id: "composer",
+  text: "hello world",
+  segments: [{ text: "hello world", isFinal: true, confidence: 0.9, alternatives: [], start: 0, end: 800, engine: "web-speech" }],
+  locale: "en-US",
+  updatedAt: 1,
+  audio: new Blob(["audio"]),
+};
+
+await storage.save(checkpoint);
+assert.deepEqual([...items.keys()], ["test:composer"]);
+const { audio: _audio, ...stored } = checkpoint;
+assert.deepEqual(await storage.load("composer"), stored, "audio is not written to localStorage");
+assert.equal(await storage.load("other"), null);
+
+items.set("test:broken", "{not json");
+assert.equal(await storage.load("broken"), null);
+items.set("test:wrong", JSON.stringify({ id: "wrong" }));
+assert.equal(await storage.load("wrong"), null, "unexpected shapes are ignored");
+
+await storage.remove("composer");
+assert.equal(items.has("test:composer"), false);
+
+assert.equal(await localStorageDraftStorage().load("composer"), null, "missing localStorage reads as empty");
+
+console.log("persistence tests passed");
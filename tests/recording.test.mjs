@@ -0,0 +1,39 @@
+import assert from "node:assert/strict";
+import { createPcmRingBuffer, encodeWav } from "../dist/core/recording.js";
+
+{
+  const buffer = createPcmRingBuffer(5);
+  buffer.push(Int16Array.of(1, 2, 3));
+  buffer.push(Int16Array.of(4, 5));
+  assert.deepEqual(Array.from(buffer.read()), [1, 2, 3, 4, 5]);
+  buffer.push(Int16Array.of(6, 7));
+  assert.equal(buffer.length, 5);
+  assert.deepEqual(Array.from(buffer.read()), [3, 4, 5, 6, 7], "the oldest samples are dropped first");
+  buffer.push(Int16Array.of(8, 9, 10, 11, 12, 13));
+  assert.deepEqual(Array.from(buffer.read()), [9, 10, 11, 12, 13], "oversized frames keep their tail");
+  buffer.clear();
+  assert.equal(buffer.length, 0);
+  assert.equal(buffer.read().length, 0);
+}
+
+{
+  const wav = encodeWav(Int16Array.of(0, 1, -1, 32767, -32768), 16000);
+  assert.equal(wav.type, "audio/wav");
+  assert.equal(wav.size, 44 + 10);
+  const view = new DataView(await wav.arrayBuffer());
+  const text = (offset, length) =>
+    String.fromCharCode(...new Uint8Array(view.buffer, offset, length));
+  assert.equal(text(0, 4), "RIFF");
+  assert.equal(view.getUint32(4, true), 46);
+  assert.equal(text(8, 8), "WAVEfmt ");
+  assert.equal(view.getUint16(20, true), 1, "PCM");
+  assert.equal(view.getUint16(22, true), 1, "mono");
+  assert.equal(view.getUint32(24, true), 16000);
+  assert.equal(view.getUint32(28, true), 32000, "byte rate");
+  assert.equal(view.getUint16(34, true), 16, "bits per sample");
+  assert.equal(text(36, 4), "data");
+  assert.equal(view.getUint32(40, true), 10);
+  assert.deepEqual([0, 1, 2, 3, 4].map((index) => view.getInt16(44 + index * 2, true)), [0, 1, -1, 32767, -32768]);
+}
+
+console.log("recording tests passed");
@@ -0,0 +1,352 @@
+import assert from "node:assert/strict";
+import { VoiceDraftController } from "../dist/core/controller.js";
+import { installVoiceDraftFakes } from "../dist/testing/index.js";
+
+// Runs `test` against the real controller and Web Speech adapter on top of the fakes.
+async function session(options, test, fakesOptions) {
+  const fakes = installVoiceDraftFakes(fakesOptions);
+  const errors = [];
+  const controller = new VoiceDraftController({ ...options, onError: (error) => errors.push(error.code) });
+  const statuses = [controller.getSnapshot().status];
+  controller.subscribe(() => {
+    const { status } = controller.getSnapshot();
+    if (statuses.at(-1) !== status) {
+      statuses.push(status);
+    }
+  });
+  try {
+    await test({ ...fakes, controller, statuses, errors, snapshot: () => controller.getSnapshot() });
+  } finally {
+    controller.dispose();
+    fakes.uninstall();
+  }
+}
+
+// Start, dictate, confirm.
+await session({ locale: "en-GB" }, async ({ clock, microphone, speech, audio, controller, statuses, errors, snapshot }) => {
+  assert.equal(controller.start(), true);
+  assert.equal(snapshot().status, "requesting-permission");
+  await clock.flush();
+  assert.equal(snapshot().status, "listening");
+  assert.equal(snapshot().capabilities.microphonePermission, "granted", "the prompt was answered");
+  assert.equal(microphone.isCapturing(), true);
+
+  const recognizer = speech.active();
+  assert.equal(recognizer.lang, "en-GB");
+  assert.equal(recognizer.continuous, true);
+  assert.equal(recognizer.interimResults, true);
+
+  speech.script([
+    { at: 200, interim: "hello" },
+    { at: 600, final: "hello world", confidence: 0.92 },
+    { at: 900, interim: "how are" },
+  ]);
+  await clock.advance(300);
+  assert.equal(snapshot().draftText, "hello", "interim results show up live");
+  await clock.advance(700);
+  assert.equal(snapshot().draftText, "hello world how are");
+  assert.equal(snapshot().segments[0].confidence, 0.92);
+  assert.equal(snapshot().elapsed, 1);
+
+  const confirmed = controller.stop();
+  assert.equal(snapshot().status, "finalizing");
+  await clock.advance(400);
+  assert.equal(await confirmed, "hello world how are", "the pending interim result is finalized on stop");
+  assert.equal(snapshot().status, "review");
+  assert.equal(snapshot().stopReason, "manual");
+  assert.equal(recognizer.running, false);
+  assert.equal(recognizer.starts, 1, "a stopped recognizer is not restarted");
+  assert.equal(microphone.isCapturing(), false, "the microphone is released");
+  assert.equal(audio.isOpen(), false);
+  assert.deepEqual(statuses, ["idle", "requesting-permission", "listening", "finalizing", "review"]);
+  assert.deepEqual(errors, []);
+});
+
+// Cancel discards the draft and leaves nothing running.
+await session({}, async ({ clock, microphone, speech, controller, statuses, snapshot }) => {
+  controller.start();
+  await clock.flush();
+  speech.final("first draft");
+  speech.interim("and this");
+  assert.equal(snapshot().draftText, "first draft and this");
+
+  controller.cancel();
+  assert.equal(snapshot().status, "idle");
+  assert.equal(snapshot().draftText, "");
+  assert.equal(microphone.isCapturing(), false);
+  assert.equal(speech.instances[0].aborted, true);
+
+  await clock.advance(5000);
+  assert.equal(speech.active(), null, "the recognizer stays stopped");
+  assert.equal(clock.pending(), 0, "no timers or animation frames are left behind");
+  assert.deepEqual(statuses, ["idle", "requesting-permission", "listening", "idle"]);
+});
+
+// Silence after speech ends the session.
+{
+  const autoStops = [];
+  await session(
+    { silence: { enabled: true, autoStopMs: 1000 }, onAutoStop: (text, reason) => autoStops.push([text, reason]) },
+    async ({ clock, microphone, speech, controller, snapshot }) => {
+      controller.start();
+      await clock.flush();
+      microphone.script([
+        { at: 500, level: 0.5 },
+        { at: 2000, level: 0 },
+      ]);
+      speech.script([
+        { at: 900, interim: "remind me" },
+        { at: 1900, final: "remind me to call Sam" },
+      ]);
+
+      await clock.advance(1000);
+      assert.ok(controller.meter.at(controller.meter.length - 1) > 0.3, "speech drives the waveform");
+      assert.ok(controller.meter.speechProbability > 0.5, "the noise gate detects speech");
+
+      await clock.advance(1900);
+      assert.equal(snapshot().status, "listening", "short of autoStopMs");
+      assert.equal(controller.meter.at(controller.meter.length - 1) < 0.1, true);
+
+      await clock.advance(600);
+      assert.deepEqual(autoStops, [["remind me to call Sam", "silence"]]);
+      assert.equal(snapshot().status, "review");
+      assert.equal(snapshot().stopReason, "silence");
+      assert.equal(microphone.isCapturing(), false);
+    },
+  );
+}
+
+// Silence before anyone speaks does not end the session.
+await session({ silence: { enabled: true, autoStopMs: 500 } }, async ({ clock, controller, snapshot }) => {
+  controller.start();
+  await clock.advance(3000);
+  assert.equal(snapshot().status, "listening");
+});
+
+// A level threshold without a mode keeps the fixed gate: sound from the first frame opens it,
+// where adaptive detection would take it for the room's noise floor.
+for (const [noiseGate, opens] of [
+  [{ activationThreshold: 0.25 }, true],
+  [{ mode: "adaptive", activationThreshold: 0.25 }, false],
+  [{}, false],
+]) {
+  await session(
+    { noiseGate },
+    async ({ clock, controller }) => {
+      controller.start();
+      await clock.advance(1000);
+      assert.equal(controller.meter.at(controller.meter.length - 1) > 0.3, opens, JSON.stringify(noiseGate));
+    },
+    { microphone: { level: 0.5 } },
+  );
+}
+
+// The maximum duration warns, then finalizes.
+{
+  const warnings = [];
+  const autoStops = [];
+  await session(
+    {
+      maxDurationMs: 5000,
+      limitWarningMs: 2000,
+      onLimitApproaching: (remainingMs) => warnings.push(remainingMs),
+      onAutoStop: (text, reason) => autoStops.push([text, reason]),
+    },
+    async ({ clock, speech, controller, snapshot }) => {
+      controller.start();
+      await clock.flush();
+      assert.equal(snapshot().remaining, 5);
+      speech.script([{ at: 1000, final: "long story short" }]);
+
+      await clock.advance(3000);
+      assert.equal(snapshot().limitApproaching, true);
+      assert.equal(snapshot().remaining, 2);
+      assert.deepEqual(warnings, [2000]);
+
+      controller.pause();
+      await clock.advance(10_000);
+      assert.equal(snapshot().status, "paused", "paused time does not count");
+      controller.resume();
+      await clock.advance(2000);
+      assert.equal(snapshot().status, "finalizing");
+      await clock.advance(400);
+      assert.deepEqual(autoStops, [["long story short", "max-duration"]]);
+      assert.equal(snapshot().stopReason, "max-duration");
+      assert.equal(snapshot().status, "review");
+    },
+  );
+}
+
+// Switching microphones while paused carries over to resume().
+await session(
+  {},
+  async ({ clock, microphone, speech, controller, errors, snapshot }) => {
+    controller.start();
+    await clock.flush();
+    speech.final("first draft");
+    controller.pause();
+    await clock.advance(400);
+
+    assert.equal(await controller.setDevice("usb"), true);
+    assert.equal(snapshot().deviceId, "usb");
+    assert.equal(snapshot().status, "paused");
+    assert.equal(speech.active(), null, "the engine stays stopped");
+    assert.deepEqual(microphone.streams.map((stream) => stream.active), [false, true], "the old input is released");
+
+    controller.resume();
+    await clock.flush();
+    assert.equal(snapshot().deviceId, "usb");
+    speech.final("second draft");
+    assert.equal(snapshot().draftText, "first draft second draft");
+    assert.deepEqual(errors, []);
+  },
+  { microphone: { devices: ["default", "usb"] } },
+);
+
+// Unplugging the microphone while paused falls back to the default one, or ends the session when
+// none is left.
+await session(
+  { deviceId: "usb" },
+  async ({ clock, microphone, controller, errors, snapshot }) => {
+    controller.start();
+    await clock.flush();
+    assert.equal(snapshot().deviceId, "usb");
+    controller.pause();
+    await clock.advance(400);
+
+    microphone.setDevices(["default"]);
+    await clock.flush();
+    assert.equal(snapshot().status, "paused");
+    controller.resume();
+    await clock.flush();
+    assert.equal(snapshot().deviceId, "default");
+    assert.equal(microphone.isCapturing(), true);
+    assert.deepEqual(errors, []);
+
+    controller.pause();
+    await clock.advance(400);
+    microphone.setDevices([]);
+    await clock.flush();
+    assert.equal(snapshot().status, "error");
+    assert.deepEqual(errors, ["no-microphone"]);
+  },
+  { microphone: { devices: ["default", "usb"] } },
+);
+
+// The meter stands still while paused.
+await session(
+  {},
+  async ({ clock, controller }) => {
+    controller.start();
+    await clock.advance(1000);
+    controller.pause();
+    const { version } = controller.meter;
+    await clock.advance(1000);
+    assert.equal(controller.meter.version, version);
+    controller.resume();
+    await clock.advance(1000);
+    assert.notEqual(controller.meter.version, version);
+  },
+  { microphone: { level: 0.5 } },
+);
+
+// Engines time results from their own start; segments stay on the session clock across runs.
+{
+  const runs = [];
+  const timed = {
+    name: "timed",
+    start: ({ onResult }) => {
+      runs.push(onResult);
+    },
+    stop: () => {
+      if (runs.length === 1) {
+        return { transcript: "" };
+      }
+      return { transcript: "", segments: [{ transcript: "third", isFinal: true, start: 800, end: 1200 }] };
+    },
+  };
+  await session({ adapter: timed }, async ({ clock, controller, snapshot }) => {
+    controller.start();
+    await clock.advance(1000);
+    runs[0]({ transcript: "first", isFinal: true, start: 200, end: 900 });
+
+    controller.pause();
+    await clock.advance(5000);
+    controller.resume();
+    await clock.advance(1000);
+    assert.equal(runs.length, 2);
+    runs[1]({ transcript: "second", isFinal: true, start: 100, end: 600 });
+
+    const stopped = controller.stop();
+    await clock.flush();
+    assert.equal(await stopped, "first second third");
+    assert.deepEqual(
+      snapshot().segments.map(({ text, start, end }) => [text, start, end]),
+      [
+        ["first", 200, 900],
+        ["second", 1100, 1600],
+        ["third", 1800, 2200],
+      ],
+      "paused time is left out",
+    );
+  });
+}
+
+// A denied prompt fails the start and releases nothing it did not open.
+await session(
+  {},
+  async ({ clock, microphone, speech, controller, errors, snapshot }) => {
+    controller.start();
+    await clock.flush();
+    assert.equal(snapshot().status, "error");
+    assert.deepEqual(errors, ["permission-denied"]);
+    assert.equal(snapshot().capabilities.microphonePermission, "denied");
+    assert.equal(microphone.isCapturing(), false);
+    assert.equal(speech.instances.length, 0);
+  },
+  { microphone: { promptResponse: "denied" } },
+);
+
+// A busy device is recoverable; starting again works.
+await session({}, async ({ clock, microphone, controller, errors, snapshot }) => {
+  microphone.failNext("NotReadableError");
+  controller.start();
+  await clock.flush();
+  assert.deepEqual(errors, ["device-busy"]);
+  assert.equal(snapshot().lastError.recoverable, true);
+  assert.equal(controller.start(), true);
+  await clock.flush();
+  assert.equal(snapshot().status, "listening");
+});
+
+// Engine errors: transient ones restart the recognizer, fatal ones end the session.
+await session({}, async ({ clock, microphone, speech, controller, errors, snapshot }) => {
+  controller.start();
+  await clock.flush();
+  speech.final("first");
+  speech.error("network");
+  assert.equal(snapshot().status, "listening");
+  assert.equal(speech.active().starts, 2, "the adapter restarts after the engine ends");
+  speech.final("second");
+  assert.equal(snapshot().draftText, "first second");
+
+  speech.error("not-allowed");
+  await clock.flush();
+  assert.equal(snapshot().status, "error");
+  assert.deepEqual(errors, ["permission-denied"], "recoverable engine errors are retried silently");
+  assert.equal(microphone.isCapturing(), false);
+});
+
+// Browsers without SpeechRecognition.
+await session(
+  {},
+  async ({ microphone, controller, errors, snapshot }) => {
+    assert.equal(snapshot().canTranscribe, false);
+    assert.equal(controller.start(), false);
+    assert.deepEqual(errors, ["not-supported"]);
+    assert.deepEqual(microphone.requests, []);
+  },
+  { speechRecognition: false },
+);
+
+console.log("session tests passed");
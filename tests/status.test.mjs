@@ -0,0 +1,24 @@
+import assert from "node:assert/strict";
+import { canTransition } from "../dist/core/status.js";
+
+assert.equal(canTransition("idle", "requesting-permission"), true);
+assert.equal(canTransition("requesting-permission", "listening"), true);
+assert.equal(canTransition("listening", "finalizing"), true);
+assert.equal(canTransition("finalizing", "review"), true);
+assert.equal(canTransition("finalizing", "idle"), true);
+assert.equal(canTransition("review", "requesting-permission"), true);
+assert.equal(canTransition("error", "requesting-permission"), true);
+assert.equal(canTransition("idle", "review"), true, "a recovered draft goes straight to review");
+assert.equal(canTransition("listening", "paused"), true);
+assert.equal(canTransition("paused", "listening"), true);
+assert.equal(canTransition("paused", "finalizing"), true);
+
+assert.equal(canTransition("listening", "requesting-permission"), false, "double start");
+assert.equal(canTransition("finalizing", "requesting-permission"), false);
+assert.equal(canTransition("idle", "listening"), false, "listening requires permission first");
+assert.equal(canTransition("idle", "finalizing"), false);
+assert.equal(canTransition("error", "listening"), false);
+assert.equal(canTransition("idle", "paused"), false);
+assert.equal(canTransition("paused", "requesting-permission"), false);
+
+console.log("status tests passed");
@@ -0,0 +1,83 @@
+import assert from "node:assert/strict";
+import { createFakeClock, installVoiceDraftFakes } from "../dist/testing/index.js";
+
+{
+  const clock = createFakeClock({ epoch: Date.UTC(2026, 0, 1), frameMs: 10 });
+  const calls = [];
+  clock.setTimeout(() => calls.push(["timeout", clock.now()]), 25);
+  clock.setTimeout((label) => calls.push([label, clock.now()]), 5, "early");
+  const interval = clock.setInterval(() => calls.push(["interval", clock.now()]), 10);
+  clock.requestAnimationFrame((time) => calls.push(["frame", time]));
+  const cancelled = clock.setTimeout(() => calls.push(["cancelled"]), 1);
+  clock.clearTimeout(cancelled);
+
+  await clock.advance(30);
+  clock.clearInterval(interval);
+  assert.deepEqual(calls, [
+    ["early", 5],
+    ["interval", 10],
+    ["frame", 10],
+    ["interval", 20],
+    ["timeout", 25],
+    ["interval", 30],
+  ], "timers run in time order, then in the order they were scheduled");
+  assert.equal(clock.now(), 30);
+  assert.equal(clock.pending(), 0);
+  assert.equal(clock.Date.now(), Date.UTC(2026, 0, 1) + 30);
+  assert.equal(new clock.Date().getTime(), Date.UTC(2026, 0, 1) + 30);
+  assert.equal(new clock.Date(0).getTime(), 0);
+
+  const order = [];
+  clock.setTimeout(() => {
+    order.push("timer");
+    Promise.resolve().then(() => order.push("promise"));
+  }, 1);
+  clock.setTimeout(() => order.push("next timer"), 1);
+  await clock.advance(1);
+  assert.deepEqual(order, ["timer", "promise", "next timer"], "promises settle between timers");
+}
+
+{
+  const realSetTimeout = globalThis.setTimeout;
+  const hadWindow = "window" in globalThis;
+  const fakes = installVoiceDraftFakes({ microphone: { devices: ["default", "usb"], permission: "granted" } });
+  const { clock, microphone } = fakes;
+  try {
+    assert.notEqual(globalThis.setTimeout, realSetTimeout);
+    assert.equal(performance.now(), 0);
+    assert.equal(typeof window.SpeechRecognition, "function");
+    assert.equal(window.isSecureContext, true);
+
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: { deviceId: { exact: "usb" } } });
+    assert.equal(stream.getAudioTracks()[0].getSettings().deviceId, "usb");
+    await assert.rejects(navigator.mediaDevices.getUserMedia({ audio: { deviceId: { exact: "gone" } } }), {
+      name: "OverconstrainedError",
+    });
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    assert.deepEqual(devices.map(({ deviceId, kind }) => [deviceId, kind]), [["default", "audioinput"], ["usb", "audioinput"]]);
+
+    const events = [];
+    navigator.mediaDevices.addEventListener("devicechange", () => events.push("devicechange"));
+    stream.getAudioTracks()[0].addEventListener("ended", () => events.push("ended"));
+    microphone.setDevices(["default"]);
+    assert.deepEqual(events, ["ended", "devicechange"], "unplugging a device ends its tracks");
+    assert.equal(microphone.isCapturing(), false);
+
+    const status = await navigator.permissions.query({ name: "microphone" });
+    status.addEventListener("change", () => events.push(status.state));
+    microphone.setPermission("denied");
+    assert.deepEqual(events.at(-1), "denied");
+    await assert.rejects(navigator.mediaDevices.getUserMedia({ audio: true }), { name: "NotAllowedError" });
+
+    microphone.script([{ at: 100, level: 0.4 }]);
+    await clock.advance(100);
+    assert.equal(microphone.level(), 0.4);
+  } finally {
+    fakes.uninstall();
+  }
+  assert.equal(globalThis.setTimeout, realSetTimeout, "uninstall restores the real timers");
+  assert.equal("window" in globalThis, hadWindow);
+  assert.equal(typeof performance.now(), "number");
+}
+
+console.log("testing fakes tests passed");
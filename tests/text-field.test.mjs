@@ -0,0 +1,76 @@
+import assert from "node:assert/strict";
+import { insertIntoField, joinAtCaret } from "../dist/core/text-field.js";
+
+assert.equal(joinAtCaret("", "hello world", ""), "Hello world");
+assert.equal(joinAtCaret("Dear team,", "thanks", ""), " thanks");
+assert.equal(joinAtCaret("It works. ", "next step", ""), "Next step");
+assert.equal(joinAtCaret("Line one\n", "line two", ""), "Line two");
+assert.equal(joinAtCaret("Send the ", "final", "report"), "final ");
+assert.equal(joinAtCaret("Send the", " final ", " report"), " final");
+assert.equal(joinAtCaret("Send the report", "today", "."), " today");
+assert.equal(joinAtCaret("(", "aside", ")"), "aside");
+assert.equal(joinAtCaret("Hello", ", again", ""), ", again");
+assert.equal(joinAtCaret("Hello", "   ", ""), "");
+
+function createTextarea(value, selectionStart, selectionEnd = selectionStart) {
+  const events = [];
+  const textarea = {
+    value,
+    selectionStart,
+    selectionEnd,
+    events,
+    focused: false,
+    ownerDocument: {},
+    focus() {
+      textarea.focused = true;
+    },
+    setSelectionRange(start, end) {
+      textarea.selectionStart = start;
+      textarea.selectionEnd = end;
+    },
+    setRangeText(replacement, start, end) {
+      textarea.value = textarea.value.slice(0, start) + replacement + textarea.value.slice(end);
+      textarea.selectionStart = textarea.selectionEnd = start + replacement.length;
+    },
+    dispatchEvent(event) {
+      events.push(event.type);
+      return true;
+    },
+  };
+  return textarea;
+}
+
+{
+  const textarea = createTextarea("Send the report.", 8);
+  assert.equal(insertIntoField(textarea, "Final", null), true);
+  assert.equal(textarea.value, "Send the Final report.");
+  assert.equal(textarea.selectionStart, 14, "the caret ends after the insertion");
+  assert.deepEqual(textarea.events, ["input"], "hosts are notified when execCommand is unavailable");
+  assert.equal(textarea.focused, true);
+}
+
+{
+  const textarea = createTextarea("Hello world", 6, 11);
+  insertIntoField(textarea, "there");
+  assert.equal(textarea.value, "Hello there", "a selection is replaced");
+}
+
+{
+  const textarea = createTextarea("Done.", 5);
+  const inserted = [];
+  textarea.ownerDocument.execCommand = (command, _ui, text) => {
+    inserted.push([command, text]);
+    return true;
+  };
+  insertIntoField(textarea, "next up");
+  assert.deepEqual(inserted, [["insertText", " Next up"]], "the browser's editing command keeps undo history");
+  assert.equal(textarea.value, "Done.", "the fallback is skipped when the command succeeds");
+}
+
+{
+  const input = createTextarea("", null);
+  assert.equal(insertIntoField(input, "text"), false, "inputs without a selection API are left alone");
+  assert.equal(insertIntoField({ isContentEditable: false }, "text"), false);
+}
+
+console.log("text field tests passed");
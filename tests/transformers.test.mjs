@@ -0,0 +1,54 @@
+import assert from "node:assert/strict";
+import {
+  applyTransformers,
+  autoCapitalizeTransformer,
+  fillerWordsTransformer,
+  profanityTransformer,
+  replacementTransformer,
+} from "../dist/core/transformers.js";
+
+const context = { locale: "en-US", before: "" };
+
+{
+  const replace = replacementTransformer({ kubernetes: "Kubernetes", "cube control": "kubectl", "acme cloud": "ACME Cloud" });
+  assert.equal(replace("deploy to KUBERNETES with cube control", context), "deploy to Kubernetes with kubectl");
+  assert.equal(replace("ask acme cloud.", context), "ask ACME Cloud.");
+  assert.equal(replace("cube, control", context), "cube, control", "phrases do not span punctuation");
+  assert.equal(replace("kubernetis", context), "kubernetis", "exact matching by default");
+
+  const fuzzy = replacementTransformer({ kubernetes: "Kubernetes", acme: "ACME" }, { fuzzy: true });
+  assert.equal(fuzzy("the kubernetis cluster", context), "the Kubernetes cluster");
+  assert.equal(fuzzy("acne", context), "acne", "short words must match exactly");
+
+  const strict = replacementTransformer({ Sam: "Samantha" }, { caseSensitive: true });
+  assert.equal(strict("sam and Sam", context), "sam and Samantha");
+}
+
+{
+  const fillers = fillerWordsTransformer();
+  assert.equal(fillers("um, I think uh we should, erm, ship it", context), "I think we should, ship it");
+  assert.equal(fillers("Umbrella", context), "Umbrella");
+  assert.equal(fillerWordsTransformer({ words: ["like"] })("it was like great", context), "it was great");
+}
+
+{
+  const capitalize = autoCapitalizeTransformer();
+  assert.equal(capitalize("hello. how are you? fine", context), "Hello. How are you? Fine");
+  assert.equal(capitalize("and more", { locale: "en-US", before: "Some text" }), "and more");
+  assert.equal(capitalize("next one", { locale: "en-US", before: "Done." }), "Next one");
+  assert.equal(capitalize("\n\nnew paragraph", { locale: "en-US", before: "x" }), "\n\nNew paragraph");
+}
+
+{
+  const mask = profanityTransformer();
+  assert.equal(mask("well shit, that Fucking broke", context), "well s***, that F****** broke");
+  assert.equal(mask("shitake", context), "shitake");
+  assert.equal(profanityTransformer({ words: ["darn"], mask: () => "[beep]" })("darn it", context), "[beep] it");
+}
+
+assert.equal(
+  applyTransformers("um kubernetes is down", [fillerWordsTransformer(), replacementTransformer({ kubernetes: "Kubernetes" }), autoCapitalizeTransformer()], context),
+  "Kubernetes is down",
+);
+
+console.log("transformers tests passed");
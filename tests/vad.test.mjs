@@ -0,0 +1,88 @@
+import assert from "node:assert/strict";
+import { analyzeFrame, createVoiceActivityDetector } from "../dist/core/vad.js";
+
+const range = { sampleRate: 48_000, minDecibels: -100, maxDecibels: -30 };
+const SIZE = 256;
+
+function sine(frequency, amplitude) {
+  return Uint8Array.from({ length: SIZE }, (_, index) =>
+    Math.round(128 + 127 * amplitude * Math.sin((2 * Math.PI * frequency * index) / range.sampleRate)),
+  );
+}
+
+let seed = 7;
+function noise(amplitude) {
+  return Uint8Array.from({ length: SIZE }, () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return Math.round(128 + 127 * amplitude * (seed / 1073741824 - 1));
+  });
+}
+
+// 128 bins of 187.5 Hz; bins 2–18 cover the speech band.
+const voicedSpectrum = Uint8Array.from({ length: SIZE / 2 }, (_, index) => (index >= 2 && index <= 18 ? 220 : 60));
+const flatSpectrum = new Uint8Array(SIZE / 2).fill(150);
+
+{
+  const voiced = analyzeFrame(sine(200, 0.5), voicedSpectrum, range);
+  assert.ok(voiced.rms > 0.3 && voiced.rms < 0.4);
+  assert.ok(voiced.zeroCrossingRate > 100 && voiced.zeroCrossingRate < 1000, "a 200 Hz tone crosses zero ~400 times/s");
+  assert.ok(voiced.speechBandRatio > 0.9);
+  assert.ok(voiced.spectralFlatness < 0.2);
+
+  const hiss = analyzeFrame(noise(0.5), flatSpectrum, range);
+  assert.ok(hiss.zeroCrossingRate > 10_000, "white noise crosses zero constantly");
+  assert.ok(hiss.speechBandRatio < 0.2);
+  assert.ok(hiss.spectralFlatness > 0.99);
+
+  const withoutSpectrum = analyzeFrame(sine(200, 0.5), null, range);
+  assert.equal(withoutSpectrum.speechBandRatio, null);
+  assert.equal(withoutSpectrum.spectralFlatness, null);
+}
+
+{
+  const vad = createVoiceActivityDetector();
+  let time = 0;
+  const feed = (timeDomain, spectrum) => {
+    const frame = vad.process(analyzeFrame(timeDomain, spectrum, range), time);
+    time += 70;
+    return frame;
+  };
+
+  // Calibrates on the room before it will call anything speech.
+  for (let index = 0; index < 4; index += 1) {
+    const frame = feed(noise(0.02), flatSpectrum);
+    assert.equal(frame.probability, 0);
+    assert.equal(frame.isSpeech, false);
+  }
+  const floor = feed(noise(0.02), flatSpectrum).noiseFloor;
+  assert.ok(floor > 0.005 && floor < 0.02, `noise floor ${floor}`);
+
+  const speech = feed(sine(200, 0.4), voicedSpectrum);
+  assert.ok(speech.probability > 0.8, `speech probability ${speech.probability}`);
+  assert.equal(speech.isSpeech, true);
+
+  // Hysteresis: a softer frame inside the utterance keeps the run going.
+  assert.equal(feed(sine(200, 0.06), voicedSpectrum).isSpeech, true);
+
+  assert.equal(feed(noise(0.02), flatSpectrum).isSpeech, false);
+
+  // Loud broadband noise is not speech, and the floor rises to meet it.
+  const fan = [];
+  for (let index = 0; index < 40; index += 1) {
+    fan.push(feed(noise(0.15), flatSpectrum));
+  }
+  assert.ok(fan.every((frame) => !frame.isSpeech));
+  assert.ok(fan[fan.length - 1].noiseFloor > floor * 3, "the floor tracks rising ambient noise");
+
+  vad.reset();
+  assert.equal(feed(sine(200, 0.4), voicedSpectrum).probability, 0, "reset recalibrates");
+}
+
+{
+  // Without frequency data the detector still works from energy and zero crossings.
+  const vad = createVoiceActivityDetector({ calibrationMs: 0, speechThreshold: 0.6 });
+  assert.equal(vad.process(analyzeFrame(noise(0.01), null, range), 0).isSpeech, false);
+  assert.equal(vad.process(analyzeFrame(sine(200, 0.5), null, range), 70).isSpeech, true);
+}
+
+console.log("vad tests passed");
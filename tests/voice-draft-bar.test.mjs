@@ -0,0 +1,62 @@
+import assert from "node:assert/strict";
+import { JSDOM, VirtualConsole } from "jsdom";
+
+// jsdom has no canvas, so the waveform skips drawing; its "not implemented" notice is noise here.
+const virtualConsole = new VirtualConsole().forwardTo(console, { jsdomErrors: ["unhandled-exception"] });
+const { window } = new JSDOM("<!doctype html><div id=root></div>", { pretendToBeVisual: true, virtualConsole });
+for (const key of ["window", "document", "navigator", "HTMLElement", "getComputedStyle", "requestAnimationFrame", "cancelAnimationFrame"]) {
+  // Node 21+ defines `navigator` with a getter only.
+  Object.defineProperty(globalThis, key, { configurable: true, writable: true, value: window[key] });
+}
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+const { act, createElement, useState } = await import("react");
+const { createRoot } = await import("react-dom/client");
+const { createMeterBuffer } = await import("../dist/core/meter.js");
+const { VoiceDraftBar } = await import("../dist/react/voice-draft-bar.js");
+
+const meter = createMeterBuffer(8);
+const pointer = (type, target) =>
+  act(() => {
+    target.dispatchEvent(new window.PointerEvent(type, { bubbles: true, button: 0, pointerId: 1 }));
+  });
+
+// Push-to-talk in the default bar: the Mic button unmounts once the session starts, and releasing
+// the pointer still confirms.
+{
+  const confirmed = [];
+  function Bar() {
+    const [status, setStatus] = useState("idle");
+    return createElement(VoiceDraftBar, {
+      status,
+      mode: "push-to-talk",
+      canTranscribe: true,
+      meter,
+      elapsed: 0,
+      onStart: () => setStatus("listening"),
+      onCancel: () => setStatus("idle"),
+      onConfirm: async () => {
+        confirmed.push(status);
+        setStatus("idle");
+      },
+    });
+  }
+
+  const container = document.getElementById("root");
+  const root = createRoot(container);
+  await act(() => root.render(createElement(Bar)));
+  const start = container.querySelector(".vd-button-start");
+  await pointer("pointerdown", start);
+  assert.equal(container.querySelector(".vd-bar").dataset.status, "listening");
+  assert.equal(container.querySelector(".vd-button-start"), null, "the session layout replaced the Mic button");
+
+  await pointer("pointerup", window);
+  assert.deepEqual(confirmed, ["listening"], "releasing the press confirms");
+  assert.equal(container.querySelector(".vd-bar").dataset.status, "idle");
+
+  await pointer("pointerup", window);
+  assert.equal(confirmed.length, 1, "the release is handled once");
+  await act(() => root.unmount());
+}
+
+console.log("voice draft bar tests passed");
@@ -0,0 +1,138 @@
+import assert from "node:assert/strict";
+import { webSpeechAdapter } from "../dist/core/web-speech-adapter.js";
+
+const instances = [];
+
+class FakeRecognition {
+  constructor() {
+    this.started = 0;
+    this.aborted = false;
+    instances.push(this);
+  }
+
+  start() {
+    this.started += 1;
+  }
+
+  stop() {}
+
+  abort() {
+    this.aborted = true;
+  }
+}
+
+function resultEvent(resultIndex, entries) {
+  const results = entries.map(([transcript, isFinal]) => ({ 0: { transcript }, isFinal }));
+  return { resultIndex, results };
+}
+
+globalThis.window = {};
+assert.equal(webSpeechAdapter().isSupported(), false);
+const noHints = { phrases: [], context: "" };
+assert.throws(() => webSpeechAdapter().start({ locale: "en-US", hints: noHints, onResult() {}, onError() {} }), {
+  code: "not-supported",
+});
+
+globalThis.window = { webkitSpeechRecognition: FakeRecognition };
+
+const adapter = webSpeechAdapter({ finalizeDelayMs: 0 });
+assert.equal(adapter.isSupported(), true);
+assert.equal(adapter.name, "web-speech");
+
+const results = [];
+const errors = [];
+adapter.start({
+  locale: "de-DE",
+  hints: { phrases: [{ phrase: "kubectl", boost: 5 }], context: "" },
+  onResult: (result) => results.push(result),
+  onError: (error) => errors.push(error),
+});
+
+const rec = instances[0];
+assert.equal(rec.lang, "de-DE");
+assert.equal(rec.continuous, true);
+assert.equal(rec.started, 1);
+assert.equal(rec.grammars, undefined, "phrase hints are skipped without SpeechGrammarList");
+
+rec.onresult(resultEvent(0, [["hello", false]]));
+rec.onresult(resultEvent(0, [["hello world ", true], ["and", false]]));
+assert.deepEqual(results, [
+  { transcript: "hello", isFinal: false },
+  { transcript: "hello world", isFinal: true, alternatives: [] },
+  { transcript: "and", isFinal: false },
+]);
+assert.equal(rec.maxAlternatives, 3);
+
+results.length = 0;
+rec.onresult({
+  resultIndex: 1,
+  results: [
+    { 0: { transcript: "done" }, isFinal: true },
+    { 0: { transcript: "cube control", confidence: 0.42 }, 1: { transcript: " kubectl", confidence: 0 }, length: 2, isFinal: true },
+    { 0: { transcript: "ship it", confidence: 0.9 }, length: 1, isFinal: true },
+  ],
+});
+assert.deepEqual(results, [
+  {
+    transcript: "cube control",
+    isFinal: true,
+    confidence: 0.42,
+    alternatives: [{ transcript: "kubectl", confidence: null }],
+  },
+  { transcript: "ship it", isFinal: true, confidence: 0.9, alternatives: [] },
+], "each final result keeps its own confidence and alternatives");
+
+rec.onerror({ error: "no-speech" });
+rec.onerror({ error: "aborted" });
+assert.equal(errors.length, 0);
+rec.onerror({ error: "network" });
+assert.equal(errors.length, 1);
+assert.equal(errors[0].code, "network");
+assert.equal(errors[0].recoverable, true);
+rec.onerror({ error: "not-allowed" });
+assert.equal(errors.length, 2);
+assert.equal(errors[1].code, "permission-denied");
+assert.equal(errors[1].recoverable, false);
+assert.match(errors[1].message, /not-allowed/);
+
+rec.onend();
+assert.equal(rec.started, 2, "recognition restarts while the session is active");
+
+const stopped = await adapter.stop();
+assert.deepEqual(stopped, { transcript: "" });
+assert.equal(rec.aborted, true);
+rec.onend();
+assert.equal(rec.started, 2, "recognition does not restart after stop");
+
+class FakeGrammarList {
+  constructor() {
+    this.grammars = [];
+  }
+
+  addFromString(grammar, weight) {
+    this.grammars.push([grammar, weight]);
+  }
+}
+
+globalThis.window = { webkitSpeechRecognition: FakeRecognition, webkitSpeechGrammarList: FakeGrammarList };
+const hinted = webSpeechAdapter({ finalizeDelayMs: 0 });
+hinted.start({
+  locale: "en-US",
+  hints: {
+    phrases: [
+      { phrase: "kubectl", boost: 5 },
+      { phrase: "Okafor; <admin>", boost: 10 },
+      { phrase: "Helm", boost: 5 },
+    ],
+    context: "ignored",
+  },
+  onResult() {},
+  onError() {},
+});
+assert.deepEqual(instances.at(-1).grammars.grammars, [
+  ["#JSGF V1.0; grammar hints; public <hint> = kubectl | Helm ;", 0.5],
+  ["#JSGF V1.0; grammar hints; public <hint> = Okafor admin ;", 1],
+], "phrases become one weighted grammar per boost");
+hinted.cancel();
+
+console.log("web speech adapter tests passed");
@@ -0,0 +1,96 @@
+import assert from "node:assert/strict";
+import { webSocketStreamingAdapter } from "../dist/core/websocket-streaming-adapter.js";
+import { startReferenceServer } from "../scripts/streaming-reference-server.mjs";
+
+const workletNodes = [];
+
+globalThis.AudioWorkletNode = class {
+  constructor(_context, name, options) {
+    this.name = name;
+    this.options = options;
+    this.port = {
+      onmessage: null,
+      postMessage: (message) => {
+        if (message === "flush") {
+          setTimeout(() => this.port.onmessage?.({ data: { type: "flushed", buffer: new ArrayBuffer(0) } }), 0);
+        }
+      },
+      close() {},
+    };
+    workletNodes.push(this);
+  }
+};
+
+const audioContext = {
+  sampleRate: 48000,
+  audioWorklet: { addModule: async () => {} },
+  createMediaStreamSource: () => ({ connect() {}, disconnect() {} }),
+};
+
+// 100 ms of silence at 16 kHz.
+const pushFrame = (node) =>
+  node.port.onmessage({ data: { type: "frame", buffer: new Int16Array(1600).buffer } });
+
+async function waitFor(predicate, label) {
+  const deadline = Date.now() + 2000;
+  while (!predicate()) {
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for ${label}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+const server = await startReferenceServer({
+  port: 0,
+  transcript: "hello world|second phrase here",
+  msPerWord: 100,
+});
+
+try {
+  const adapter = webSocketStreamingAdapter({ url: `ws://127.0.0.1:${server.port}` });
+  assert.equal(adapter.isSupported(), true);
+
+  const results = [];
+  const errors = [];
+  await adapter.start({
+    locale: "en-US",
+    alternateLocales: [],
+    hints: { phrases: [{ phrase: "kubectl", boost: 5 }], context: "" },
+    stream: {},
+    audioContext,
+    onResult: (result) => results.push(result),
+    onError: (error) => errors.push(error),
+  });
+
+  const [node] = workletNodes;
+  assert.equal(node.options.processorOptions.targetSampleRate, 16000);
+  assert.equal(node.options.processorOptions.frameSize, 1600);
+
+  pushFrame(node);
+  pushFrame(node);
+  await waitFor(() => results.length >= 2, "first phrase");
+  assert.deepEqual(results, [
+    { transcript: "hello", isFinal: false },
+    { transcript: "hello world", isFinal: true },
+  ]);
+
+  pushFrame(node);
+  await waitFor(() => results.length >= 3, "second phrase interim");
+  assert.deepEqual(results[2], { transcript: "second", isFinal: false });
+
+  const stopped = await adapter.stop();
+  assert.deepEqual(stopped, { transcript: "" });
+  assert.deepEqual(results.at(-1), { transcript: "second", isFinal: true }, "stop flushes a final result");
+  assert.deepEqual(errors, []);
+
+  const unreachable = webSocketStreamingAdapter({ url: "ws://127.0.0.1:1" });
+  await assert.rejects(
+    unreachable.start({ locale: "en-US", alternateLocales: [], hints: { phrases: [], context: "" }, stream: {}, audioContext, onResult() {}, onError() {} }),
+    /streaming transcription/,
+  );
+} finally {
+  await server.close();
+}
+
+console.log("websocket streaming adapter tests passed");